@@ -3,30 +3,211 @@
 // 核心配置文件
 const NueCoreConfig = {
     appVersion: null,
+    // "sync": Signal 写入后立即执行 effect (批次内除外)；"microtask": 统一在微任务中批量刷新
+    scheduler: "sync",
+    // true 时表达式由解释器求值，组件脚本只使用 window.__NUE_COMPILED_SCRIPTS__ 中预编译的函数
+    csp: false,
 };
 
-const __NUE_CONFUSION_KEY__ = "NueJS-is-Awesome-And-Secret-!@#$%^";
-function nueSimpleTransform(text, key) {
-    if (!text || !key) return text;
-    let result = "";
-    try {
-        for (let i = 0; i < text.length; i++) {
-            result += String.fromCharCode(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-        }
-    } catch (e) {
-        console.error("[NueCore] 文本转换时发生错误:", e, "将返回原始文本。");
-        return text;
-    }
-    return result;
+// .nue 文件的拆分规则和内置组件标签名由 nono-parser.js 提供，与 scripts/build.js 共用
+if (typeof _splitComponentSections !== "function" || typeof NUE_BUILT_IN_COMPONENT_TAGS === "undefined") {
+    console.error("核心错误：未找到 nono-parser.js，请在 nono-core.js 之前引入 (<script src=\"./assets/nono-js/nono-parser.js\"></script>)。");
 }
 
 let currentEffect = null;
 let _currentEffectCleanupList = null;
 const componentEffectsRegistry = new WeakMap();
+// 热重载和服务端渲染时记录组件脚本创建的 Signal：(signal, initialValue) => 实际使用的初始值。
+// 记录器保存在组件实例上，由 _runInSetupInstance 在进入实例时设置，脚本中 await 之后创建的 Signal 同样能记录
+let _hmrSignalRecorder = null;
+// 开发者工具打开后由 nono-devtools.js 设置：
+// { onSignalWrite(signal, oldValue, newValue, subscribers), onStoreWrite(store, key, oldValue, newValue, subscribers, owner) }
+let _devtoolsHook = null;
+let _signalIdCounter = 0;
+// 组件第一个根节点 -> 组件实例上下文 (即组件的错误处理节点)，供开发者工具遍历组件树
+const componentInstanceRegistry = new WeakMap();
+
+// ===================================================================
+// 错误处理：onError 钩子、<error-boundary> 与全局 NueCore.onError
+// ===================================================================
+// 作用域上保存错误处理链的键。链节点为 { handler, parent, label }，
+// handler(error, info) 返回 false 表示未处理，错误继续向上传播。
+const ERROR_SCOPE_KEY = Symbol("nue-error-scope");
+const _globalErrorHandlers = [];
+// 正在编译、执行脚本或运行 effect 的组件对应的错误处理链，effect 和 watch 创建时会记录它。
+// 只在 _runWithErrorChain 的同步调用期间有效；await 之后的代码需要通过作用域或实例重新指定。
+let _currentErrorChain = null;
+
+function _runWithErrorChain(chain, fn) {
+    const previousChain = _currentErrorChain;
+    _currentErrorChain = chain || null;
+    try {
+        return fn();
+    } finally {
+        _currentErrorChain = previousChain;
+    }
+}
+
+/**
+ * 把运行时错误交给最近的错误处理者 (组件 onError 或 <error-boundary>)，并通知全局处理器。
+ * 无人处理时按原样输出到控制台。
+ * @param {*} error - 错误对象。
+ * @param {object} info - 错误信息：{ type, component, expression, message }。
+ *     type 为 "render" | "effect" | "handler" | "watch" | "expression" | "mount" | "hook"。
+ * @param {object|null} chain - 错误处理链的起点，通常是 scope[ERROR_SCOPE_KEY]。
+ * @returns {boolean} 是否已被某个处理者处理。
+ */
+function handleError(error, info = {}, chain = null) {
+    let handled = false;
+    for (let node = chain; node && !handled; node = node.parent) {
+        if (typeof node.handler !== "function") continue;
+        try {
+            handled = node.handler(error, info) !== false;
+        } catch (handlerError) {
+            console.error(`核心错误：[${node.label || "组件"}] onError 处理器自身出错:`, handlerError);
+        }
+    }
+    _globalErrorHandlers.forEach((globalHandler) => {
+        try {
+            globalHandler(error, { ...info, handled });
+        } catch (handlerError) {
+            console.error("核心错误：NueCore.onError 全局处理器出错:", handlerError);
+        }
+    });
+    if (!handled) {
+        console.error(info.message || `核心错误：[${info.component || "未知组件"}] ${info.type || "运行时"} 错误:`, error);
+    }
+    return handled;
+}
+
+/**
+ * 注册全局错误处理器，用于上报等场景。所有经过 handleError 的错误都会通知它，info.handled 表示是否已被组件处理。
+ * @returns {Function} 注销函数。
+ */
+function onGlobalError(handler) {
+    if (typeof handler !== "function") {
+        console.error("核心错误：NueCore.onError() 需要一个函数。");
+        return () => {};
+    }
+    _globalErrorHandlers.push(handler);
+    return () => {
+        const index = _globalErrorHandlers.indexOf(handler);
+        if (index !== -1) _globalErrorHandlers.splice(index, 1);
+    };
+}
+
+// ===================================================================
+// Effect 调度：批量更新与微任务调度
+// ===================================================================
+let _effectIdCounter = 0;
+let _batchDepth = 0;
+const _pendingEffects = new Set();
+let _flushPromise = null;
+let _isFlushing = false;
+const MAX_FLUSH_ITERATIONS = 100;
+
+/**
+ * 通知一组订阅者。计算 Signal 的观察者会立即被调用以传播"脏"标记，
+ * 普通 effect 交给 scheduleEffect 决定同步执行还是排队。
+ * @param {Set<Function>} subscribers - Signal 的订阅者集合。
+ */
+function triggerSubscribers(subscribers) {
+    const effectsToRun = new Set(subscribers);
+    effectsToRun.forEach((effectInstance) => {
+        if (effectInstance && typeof effectInstance === "function" && effectInstance.isActive) {
+            if (effectInstance.__is_computed_observer__) {
+                effectInstance();
+            } else {
+                scheduleEffect(effectInstance);
+            }
+        }
+    });
+}
+
+function scheduleEffect(effectInstance) {
+    if (_batchDepth === 0 && !_isFlushing && NueCoreConfig.scheduler !== "microtask") {
+        effectInstance();
+        return;
+    }
+    _pendingEffects.add(effectInstance);
+    if (_batchDepth === 0 && !_isFlushing && !_flushPromise) {
+        _flushPromise = Promise.resolve().then(flushEffects);
+    }
+}
+
+/**
+ * 执行所有排队中的 effect。每一轮按创建顺序 (父组件先于子组件) 执行且每个 effect 只执行一次；
+ * 执行期间新触发的 effect 会进入下一轮。
+ */
+function flushEffects() {
+    if (_isFlushing) return;
+    _isFlushing = true;
+    let iterations = 0;
+    try {
+        while (_pendingEffects.size > 0) {
+            if (++iterations > MAX_FLUSH_ITERATIONS) {
+                console.error(`核心错误：effect 在一次刷新中连续触发超过 ${MAX_FLUSH_ITERATIONS} 轮，可能存在循环依赖，剩余 effect 已丢弃。`);
+                _pendingEffects.clear();
+                break;
+            }
+            const queue = Array.from(_pendingEffects).sort((a, b) => a.id - b.id);
+            _pendingEffects.clear();
+            queue.forEach((effectInstance) => {
+                if (effectInstance.isActive) effectInstance();
+            });
+        }
+    } finally {
+        _isFlushing = false;
+        _flushPromise = null;
+    }
+}
+
+/**
+ * 在一个批次中执行 fn：期间写入的 Signal 不会立即触发 effect，
+ * 结束后每个受影响的 effect 只执行一次。批次可以嵌套，只有最外层结束时才刷新。
+ * @param {Function} fn - 同步执行的更新函数。
+ * @returns {*} fn 的返回值。
+ */
+function batch(fn) {
+    _batchDepth++;
+    try {
+        return fn();
+    } finally {
+        _batchDepth--;
+        if (_batchDepth === 0) {
+            if (NueCoreConfig.scheduler !== "microtask") {
+                flushEffects();
+            } else if (_pendingEffects.size > 0 && !_isFlushing && !_flushPromise) {
+                // 批次内排队的 effect 没有安排刷新，由最外层批次结束时补上
+                _flushPromise = Promise.resolve().then(flushEffects);
+            }
+        }
+    }
+}
+
+/**
+ * 返回一个 Promise，在当前排队的 effect 全部执行 (即 DOM 已更新) 后 resolve。
+ * @param {Function} [fn] - 可选的回调，在同一时机执行。
+ * @returns {Promise<void>}
+ */
+function nextTick(fn) {
+    const promise = (_flushPromise || Promise.resolve()).then(() => {
+        if (_pendingEffects.size > 0) flushEffects();
+    });
+    return typeof fn === "function" ? promise.then(fn) : promise;
+}
 
-function createSignal(initialValue) {
+/**
+ * 创建一个 Signal。
+ * @param {*} initialValue - 初始值。
+ * @param {object} [options]
+ * @param {string} [options.name] - 调试名称，显示在开发者工具中。
+ * @returns {Function} Signal 访问器：无参调用读取，传参调用写入。
+ */
+function createSignal(initialValue, options) {
     let value = initialValue;
     const subscribers = new Set();
+    if (_hmrSignalRecorder) value = _hmrSignalRecorder(signalAccessor, initialValue);
     function signalAccessor(newValue) {
         if (arguments.length === 0) {
             if (currentEffect && currentEffect.isActive) {
@@ -36,35 +217,52 @@ function createSignal(initialValue) {
             return value;
         } else {
             if (value !== newValue) {
+                const oldValue = value;
                 value = newValue;
-                const effectsToRun = new Set(subscribers);
-                effectsToRun.forEach((effectInstance) => {
-                    if (effectInstance && typeof effectInstance === "function" && effectInstance.isActive) {
-                        effectInstance();
-                    }
-                });
+                if (_devtoolsHook) _devtoolsHook.onSignalWrite(signalAccessor, oldValue, newValue, Array.from(subscribers));
+                triggerSubscribers(subscribers);
             }
             return newValue;
         }
     }
     signalAccessor.__is_signal__ = true;
+    signalAccessor.__id__ = ++_signalIdCounter;
+    if (options && options.name) signalAccessor.__name__ = String(options.name);
     return signalAccessor;
 }
 
 function createEffect(fn) {
     const effect = () => {
         if (!effect.isActive) return;
+        // 所属组件被 <keep-alive> 停用时推迟执行，保留现有依赖，重新激活后再补上
+        const deactivatedOwner = _findDeactivatedOwner(effect.owner);
+        if (deactivatedOwner) {
+            deactivatedOwner.deferredEffects.add(effect);
+            return;
+        }
         cleanupEffectDependencies(effect);
+        const previousEffect = currentEffect;
         currentEffect = effect;
         effect.dependencies = new Set();
         try {
-            fn();
+            // 重新执行时内部创建的 effect (如 n-if 分支) 仍归属于本 effect 的错误处理链
+            _runWithErrorChain(effect.errorChain, fn);
         } catch (error) {
-            console.error("Error executing effect:", error);
+            handleError(error, { type: "effect", message: "Error executing effect:" }, effect.errorChain);
         } finally {
-            currentEffect = null;
+            currentEffect = previousEffect;
         }
+        // 首次执行是挂载的一部分，之后的重新执行才算组件更新
+        if (effect.hasRun) _queueUpdatedHooks(effect);
+        effect.hasRun = true;
     };
+    effect.id = ++_effectIdCounter;
+    effect.errorChain = _currentErrorChain;
+    // 归属的组件实例：组件脚本执行期间就是该实例，否则取错误处理链上最近的组件节点 (跳过 <error-boundary> 等内置组件的节点)
+    let owner = _currentSetupInstance || _currentErrorChain;
+    while (owner && !owner.effects) owner = owner.parent;
+    effect.owner = owner || null;
+    if (effect.owner) effect.owner.effects.add(effect);
     effect.isActive = true;
     effect.dependencies = new Set();
     function cleanupEffectDependencies(effectInstance) {
@@ -79,6 +277,8 @@ function createEffect(fn) {
         if (effect.isActive) {
             cleanupEffectDependencies(effect);
             effect.isActive = false;
+            _pendingEffects.delete(effect);
+            if (effect.owner) effect.owner.effects.delete(effect);
         }
     };
     if (_currentEffectCleanupList && Array.isArray(_currentEffectCleanupList)) {
@@ -87,37 +287,348 @@ function createEffect(fn) {
     try {
         effect();
     } catch (e) {
-        console.error("Error during initial effect execution:", e);
+        handleError(e, { type: "effect", message: "Error during initial effect execution:" }, effect.errorChain);
     }
     return stopEffect;
 }
 
+/**
+ * 创建一个派生 (计算) Signal。
+ * 读取时才惰性求值并缓存结果，只有上游 Signal 变化后才会重新计算。
+ * 返回值与 Signal 一样可在模板中自动解包，也可交给 createWatch 或 n-model。
+ * @param {Function} getter - 计算函数。
+ * @param {Function} [setter] - 可选的写入函数；提供后调用 computed(newValue) 会转交给它。
+ * @returns {Function} 计算 Signal 访问器。
+ */
+function createComputed(getter, setter) {
+    let value;
+    let dirty = true;
+    const subscribers = new Set();
+    // 上游 Signal 把它当作普通 effect 订阅；被触发时只标记为脏并通知下游，不立即重算
+    const markDirty = () => {
+        if (!markDirty.isActive || dirty) return;
+        dirty = true;
+        triggerSubscribers(subscribers);
+    };
+    markDirty.__is_computed_observer__ = true;
+    markDirty.isActive = true;
+    markDirty.dependencies = new Set();
+    const recompute = () => {
+        markDirty.dependencies.forEach((signalSubscribersSet) => signalSubscribersSet.delete(markDirty));
+        markDirty.dependencies.clear();
+        const previousEffect = currentEffect;
+        currentEffect = markDirty;
+        try {
+            value = getter();
+            dirty = false;
+        } finally {
+            currentEffect = previousEffect;
+        }
+    };
+    // 与 effect 一样随所属组件卸载：不再订阅上游 Signal，之后每次读取都重新计算
+    const stopComputed = () => {
+        if (!markDirty.isActive) return;
+        markDirty.isActive = false;
+        markDirty.dependencies.forEach((signalSubscribersSet) => signalSubscribersSet.delete(markDirty));
+        markDirty.dependencies.clear();
+        dirty = true;
+    };
+    if (Array.isArray(_currentEffectCleanupList)) {
+        _currentEffectCleanupList.push(stopComputed);
+    }
+    function computedAccessor(newValue) {
+        if (arguments.length === 0) {
+            if (dirty || !markDirty.isActive) recompute();
+            if (currentEffect && currentEffect.isActive) {
+                subscribers.add(currentEffect);
+                currentEffect.dependencies.add(subscribers);
+            }
+            return value;
+        }
+        if (typeof setter === "function") {
+            setter(newValue);
+        } else {
+            console.warn("核心警告：尝试写入一个只读的计算 Signal，已忽略。");
+        }
+        return newValue;
+    }
+    computedAccessor.__is_signal__ = true;
+    computedAccessor.__is_computed__ = true;
+    computedAccessor.__is_writable__ = typeof setter === "function";
+    return computedAccessor;
+}
+
+// ===================================================================
+// 深层响应式 Store (基于 Proxy 的属性级依赖追踪)
+// ===================================================================
+const STORE_RAW = Symbol("nue-store-raw");
+const STORE_ITERATE = Symbol("nue-store-iterate");
+const _storeProxies = new WeakMap(); // 原始对象 -> Proxy
+const _storeDependencies = new WeakMap(); // 原始对象 -> Map(属性 -> 订阅者集合)
+const _storeOwners = new WeakMap(); // 原始对象 -> 创建它的组件实例，嵌套对象沿用外层的实例，供开发者工具标注写入
+const ARRAY_MUTATION_METHODS = new Set(["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"]);
+
+function _isStorableValue(value) {
+    if (!value || typeof value !== "object") return false;
+    if (Array.isArray(value)) return true;
+    // 只代理普通对象；原型链只有一层 (任意 realm 的 Object.prototype) 或没有原型
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || Object.getPrototypeOf(proto) === null;
+}
+
+function isStore(value) {
+    return !!(value && typeof value === "object" && value[STORE_RAW]);
+}
+
+function _toRawValue(value) {
+    return isStore(value) ? value[STORE_RAW] : value;
+}
+
+function _trackStoreKey(target, key) {
+    if (!currentEffect || !currentEffect.isActive) return;
+    let depsMap = _storeDependencies.get(target);
+    if (!depsMap) {
+        depsMap = new Map();
+        _storeDependencies.set(target, depsMap);
+    }
+    let subscribers = depsMap.get(key);
+    if (!subscribers) {
+        subscribers = new Set();
+        depsMap.set(key, subscribers);
+    }
+    subscribers.add(currentEffect);
+    currentEffect.dependencies.add(subscribers);
+}
+
+function _triggerStoreKeys(target, keys) {
+    const depsMap = _storeDependencies.get(target);
+    if (!depsMap) return;
+    // 一次写入可能影响多个键，合并为一个批次以免同一 effect 重复执行
+    batch(() => {
+        keys.forEach((key) => {
+            const subscribers = depsMap.get(key);
+            if (subscribers) triggerSubscribers(subscribers);
+        });
+    });
+}
+
+// 开发者工具记录写入用：这次写入会触发的 effect
+function _collectStoreSubscribers(target, keys) {
+    const depsMap = _storeDependencies.get(target);
+    const subscribers = new Set();
+    if (depsMap) keys.forEach((key) => (depsMap.get(key) || []).forEach((effect) => subscribers.add(effect)));
+    return Array.from(subscribers);
+}
+
+function _createStoreProxy(target, parentTarget = null) {
+    if (_storeProxies.has(target)) return _storeProxies.get(target);
+    if (parentTarget && _storeOwners.has(parentTarget) && !_storeOwners.has(target)) _storeOwners.set(target, _storeOwners.get(parentTarget));
+    const isArray = Array.isArray(target);
+    const proxy = new Proxy(target, {
+        get(obj, key, receiver) {
+            if (key === STORE_RAW) return obj;
+            if (isArray && ARRAY_MUTATION_METHODS.has(key)) {
+                // 变更方法内部会读取 length 等属性，不能让外层 effect 订阅它们
+                return function (...args) {
+                    const previousEffect = currentEffect;
+                    currentEffect = null;
+                    try {
+                        return batch(() => Array.prototype[key].apply(this, args));
+                    } finally {
+                        currentEffect = previousEffect;
+                    }
+                };
+            }
+            const value = Reflect.get(obj, key, receiver);
+            if (typeof key === "symbol" || key === "__is_signal__") return value;
+            _trackStoreKey(obj, key);
+            return _isStorableValue(value) ? _createStoreProxy(value, obj) : value;
+        },
+        set(obj, key, value, receiver) {
+            const rawValue = _toRawValue(value);
+            const hadKey = Object.prototype.hasOwnProperty.call(obj, key);
+            const oldValue = obj[key];
+            const oldLength = isArray ? obj.length : 0;
+            const result = Reflect.set(obj, key, rawValue, receiver);
+            if (hadKey && oldValue === rawValue) return result;
+            const keysToTrigger = [key];
+            if (!hadKey) keysToTrigger.push(STORE_ITERATE);
+            if (isArray && obj.length !== oldLength) {
+                keysToTrigger.push("length", STORE_ITERATE);
+                // 直接缩短 length 时，被截掉的下标也要通知
+                for (let i = obj.length; i < oldLength; i++) keysToTrigger.push(String(i));
+            }
+            if (_devtoolsHook) _devtoolsHook.onStoreWrite(proxy, key, oldValue, rawValue, _collectStoreSubscribers(obj, keysToTrigger), _storeOwners.get(obj) || null);
+            _triggerStoreKeys(obj, keysToTrigger);
+            return result;
+        },
+        deleteProperty(obj, key) {
+            const hadKey = Object.prototype.hasOwnProperty.call(obj, key);
+            const oldValue = obj[key];
+            const result = Reflect.deleteProperty(obj, key);
+            if (hadKey && result) {
+                if (_devtoolsHook) _devtoolsHook.onStoreWrite(proxy, key, oldValue, undefined, _collectStoreSubscribers(obj, [key, STORE_ITERATE]), _storeOwners.get(obj) || null);
+                _triggerStoreKeys(obj, [key, STORE_ITERATE]);
+            }
+            return result;
+        },
+        has(obj, key) {
+            if (typeof key !== "symbol") _trackStoreKey(obj, key);
+            return Reflect.has(obj, key);
+        },
+        ownKeys(obj) {
+            _trackStoreKey(obj, isArray ? "length" : STORE_ITERATE);
+            return Reflect.ownKeys(obj);
+        },
+    });
+    _storeProxies.set(target, proxy);
+    return proxy;
+}
+
+/**
+ * 创建一个深层响应式 Store。
+ * 对象属性和数组元素的读取会被 effect 按属性追踪，原地修改 (包括 push/splice 等数组方法) 会触发更新。
+ * @param {object|Array} initialValue - 初始数据 (普通对象或数组)。
+ * @returns {Proxy} 响应式代理。
+ */
+function createStore(initialValue = {}) {
+    if (isStore(initialValue)) return initialValue;
+    if (!_isStorableValue(initialValue)) {
+        console.error("核心错误：createStore() 只接受普通对象或数组。");
+        return initialValue;
+    }
+    if (_currentSetupInstance && !_storeOwners.has(initialValue)) _storeOwners.set(initialValue, _currentSetupInstance);
+    return _createStoreProxy(initialValue);
+}
+
+/**
+ * 返回 Store (或其中任意部分) 的非响应式深拷贝，适合序列化或发送给接口。
+ */
+function snapshot(value) {
+    const raw = _toRawValue(value);
+    if (Array.isArray(raw)) return raw.map((item) => snapshot(item));
+    if (_isStorableValue(raw)) {
+        const copy = {};
+        Object.keys(raw).forEach((key) => {
+            copy[key] = snapshot(raw[key]);
+        });
+        return copy;
+    }
+    return raw;
+}
+
+/**
+ * 将新数据以最小改动合并进 Store：相同的值不触发更新，数组元素按 key 字段复用已有对象。
+ * @param {Proxy} store - createStore 返回的 Store 或其中的嵌套对象/数组。
+ * @param {object|Array} newData - 新数据。
+ * @param {object} [options]
+ * @param {string} [options.key="id"] - 数组元素的标识字段。
+ * @returns {Proxy} 传入的 Store。
+ */
+function reconcile(store, newData, options = {}) {
+    if (!isStore(store)) {
+        console.error("核心错误：reconcile() 的第一个参数必须是 createStore() 创建的 Store。");
+        return store;
+    }
+    const { key = "id" } = options;
+    const rawNewData = _toRawValue(newData);
+    batch(() => _reconcileInto(store, rawNewData, key));
+    return store;
+}
+
+function _canReconcileValues(oldValue, newValue) {
+    return _isStorableValue(oldValue) && _isStorableValue(newValue) && Array.isArray(oldValue) === Array.isArray(newValue);
+}
+
+function _hasReconcileKey(item, key) {
+    return !!item && typeof item === "object" && item[key] !== undefined;
+}
+
+function _reconcileInto(storeProxy, newData, key) {
+    const raw = storeProxy[STORE_RAW];
+    if (Array.isArray(raw) && Array.isArray(newData)) {
+        // 先保留旧元素的副本，赋值过程中 raw 会被逐项覆盖
+        const oldItems = raw.slice();
+        const oldItemsByKey = new Map();
+        oldItems.forEach((item) => {
+            if (_hasReconcileKey(item, key)) oldItemsByKey.set(item[key], item);
+        });
+        newData.forEach((newItem, index) => {
+            // 有 key 的元素按 key 复用，没有 key 的元素按下标复用
+            const oldItem = _hasReconcileKey(newItem, key) ? oldItemsByKey.get(newItem[key]) : _hasReconcileKey(oldItems[index], key) ? undefined : oldItems[index];
+            if (_canReconcileValues(oldItem, newItem)) {
+                _reconcileInto(_createStoreProxy(oldItem), newItem, key);
+                storeProxy[index] = oldItem;
+            } else {
+                storeProxy[index] = newItem;
+            }
+        });
+        if (raw.length !== newData.length) storeProxy.length = newData.length;
+        return;
+    }
+    Object.keys(newData).forEach((prop) => {
+        const oldValue = raw[prop];
+        const newValue = newData[prop];
+        if (_canReconcileValues(oldValue, newValue)) {
+            _reconcileInto(_createStoreProxy(oldValue), newValue, key);
+        } else {
+            storeProxy[prop] = newValue;
+        }
+    });
+    Object.keys(raw).forEach((prop) => {
+        if (!Object.prototype.hasOwnProperty.call(newData, prop)) delete storeProxy[prop];
+    });
+}
+
 if (typeof queueMicrotask !== "function") {
     window.queueMicrotask = function (cb) {
         Promise.resolve().then(cb);
     };
 }
 
+function _traverseForWatch(value, seen = new Set()) {
+    if (!value || typeof value !== "object" || seen.has(value)) return;
+    seen.add(value);
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) _traverseForWatch(value[i], seen);
+    } else {
+        Object.keys(value).forEach((key) => _traverseForWatch(value[key], seen));
+    }
+}
+
+/**
+ * 侦听一个 Signal、getter 函数或 Store，值变化后在微任务中调用 callback。
+ * @param {Function|Proxy} signalToWatch - Signal、计算 Signal、getter 函数或 Store。
+ * @param {Function} callback - (newValue, oldValue) => void。
+ * @param {object} [options]
+ * @param {boolean} [options.immediate=false] - 是否立即以当前值调用一次。
+ * @param {boolean} [options.deep] - 是否追踪嵌套属性的原地修改；侦听 Store 时默认为 true。
+ * @returns {Function} 停止侦听的函数。
+ */
 function createWatch(signalToWatch, callback, options = {}) {
-    const { immediate = false } = options;
+    const watchingStore = isStore(signalToWatch);
+    const { immediate = false, deep = watchingStore } = options;
+    const getter = watchingStore ? () => signalToWatch : signalToWatch;
     let oldValue;
     let isInitialized = false;
     let pendingCallback = false;
+    const errorChain = _currentErrorChain;
     const scheduleCallback = (newValue, oldValueForCallback) => {
         if (pendingCallback) return;
         pendingCallback = true;
         queueMicrotask(() => {
             try {
-                callback(newValue, oldValueForCallback);
+                _runWithErrorChain(errorChain, () => callback(newValue, oldValueForCallback));
             } catch (e) {
-                console.error("Watch callback execution failed:", e);
+                handleError(e, { type: "watch", message: "Watch callback execution failed:" }, errorChain);
             } finally {
                 pendingCallback = false;
             }
         });
     };
     const stop = createEffect(() => {
-        const newValue = signalToWatch();
+        const newValue = getter();
+        if (deep) _traverseForWatch(newValue);
         if (!isInitialized) {
             oldValue = newValue;
             isInitialized = true;
@@ -126,7 +637,8 @@ function createWatch(signalToWatch, callback, options = {}) {
             }
             return;
         }
-        if (newValue !== oldValue) {
+        // deep 模式下原地修改不会改变引用，同样需要回调
+        if (newValue !== oldValue || deep) {
             const previousOldValue = oldValue;
             oldValue = newValue;
             scheduleCallback(newValue, previousOldValue);
@@ -135,35 +647,155 @@ function createWatch(signalToWatch, callback, options = {}) {
     return stop;
 }
 
-// 路由功能 (无修改)
+// 路由功能
+// 地址模式：history 模式使用 History API，应用地址 = 页面路径去掉 base；
+// hash 模式把应用地址放在 # 之后，适用于无法重写 URL 的静态托管和 file://。
+const _routerConfig = {
+    mode: "history",
+    base: "", // 规范化后不带结尾斜杠，例如 "/thinkchat"
+};
+// 仅用于解析应用内相对地址的虚拟源，file:// 页面的 origin 为 "null" 无法作为基准
+const APP_LOCATION_ORIGIN = "http://nue.local";
+
+function _normalizeRouterBase(base) {
+    if (!base || typeof base !== "string") return "";
+    const normalized = `/${base.trim()}`.replace(/\/{2,}/g, "/").replace(/\/$/, "");
+    return normalized === "/" ? "" : normalized;
+}
+
 function _getCurrentLocationString() {
-    return window.location.pathname + window.location.search + window.location.hash;
+    if (_routerConfig.mode === "hash") {
+        const hashLocation = window.location.hash.slice(1);
+        return hashLocation.startsWith("/") ? hashLocation : `/${hashLocation}`;
+    }
+    let pathname = window.location.pathname;
+    const { base } = _routerConfig;
+    if (base && (pathname === base || pathname.startsWith(`${base}/`))) {
+        pathname = pathname.slice(base.length) || "/";
+    }
+    return pathname + window.location.search + window.location.hash;
+}
+
+/**
+ * 把应用地址 (如 "/chat/1?x=2") 转换为写入地址栏的 URL。
+ */
+function _toBrowserUrl(appLocation) {
+    if (_routerConfig.mode === "hash") {
+        return `${window.location.pathname}${window.location.search}#${appLocation}`;
+    }
+    return `${_routerConfig.base}${appLocation}`;
+}
+
+/**
+ * 把链接的绝对 URL 转换为应用地址；不属于本应用 (base 之外或其他页面) 时返回 null。
+ */
+function _appLocationFromUrl(url) {
+    if (_routerConfig.mode === "hash") {
+        if (url.pathname !== window.location.pathname || url.search !== window.location.search) return null;
+        if (!url.hash) return "/";
+        return url.hash.startsWith("#/") ? url.hash.slice(1) : null;
+    }
+    const { base } = _routerConfig;
+    let pathname = url.pathname;
+    if (base) {
+        if (pathname !== base && !pathname.startsWith(`${base}/`)) return null;
+        pathname = pathname.slice(base.length) || "/";
+    }
+    return pathname + url.search + url.hash;
+}
+
+/**
+ * 把相对或绝对的应用地址规范化为 "/path?query#hash" 形式，相对地址基于当前应用地址解析。
+ */
+function _normalizeAppLocation(location) {
+    const url = new URL(String(location), APP_LOCATION_ORIGIN + _getCurrentLocationString());
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * 设置地址模式。在 NueCore.init 的 router 选项或 createRouter 中调用。
+ * @param {object} options
+ * @param {"history"|"hash"} [options.mode="history"]
+ * @param {string} [options.base=""] - history 模式下应用所在的子路径，例如 "/thinkchat/"。
+ */
+function configureRouterMode({ mode, base } = {}) {
+    if (mode !== undefined) {
+        if (mode === "history" || mode === "hash") {
+            _routerConfig.mode = mode;
+        } else {
+            console.warn(`[NueCore.router] 未知的路由模式 "${mode}"，将使用 "history"。`);
+            _routerConfig.mode = "history";
+        }
+    }
+    if (base !== undefined) _routerConfig.base = _normalizeRouterBase(base);
+    if (_routerConfig.mode === "hash" && !window.location.hash.startsWith("#/")) {
+        history.replaceState(history.state, "", _toBrowserUrl(_getCurrentLocationString()));
+    }
+    _updateCurrentUrlSignal();
+}
+
+/**
+ * 解析组件等相对资源时使用的页面基准地址。
+ * history 模式配置了 base 时以 base 目录为准，这样从深层链接直接打开页面也能找到组件。
+ */
+function _getResolutionBaseUrl() {
+    if (_routerConfig.mode === "history" && _routerConfig.base && window.location.origin !== "null") {
+        return `${window.location.origin}${_routerConfig.base}/`;
+    }
+    return window.location.href;
+}
+
+/**
+ * 应用根目录：使用 history 模式路由时即 base (未设置时为站点根目录)，否则是页面所在的目录。
+ * 与 _getResolutionBaseUrl 不同，history 模式下从深层链接打开页面时也不会落到当前路径的目录中。
+ * @param {boolean} usesRouter - 应用是否由路由管理地址。
+ */
+function _getAppRootUrl(usesRouter) {
+    if (usesRouter && _routerConfig.mode === "history" && window.location.origin !== "null") {
+        return `${window.location.origin}${_routerConfig.base}/`;
+    }
+    return new URL(".", _getResolutionBaseUrl()).href;
 }
+
 const _currentUrlSignal = createSignal(_getCurrentLocationString());
 function _updateCurrentUrlSignal() {
     _currentUrlSignal(_getCurrentLocationString());
 }
-window.addEventListener("popstate", () => {
+function _handleBrowserLocationChange() {
     _updateCurrentUrlSignal();
-});
+    if (_routerState.installed) {
+        // hash 模式下同一次跳转可能同时触发 popstate 和 hashchange，只处理一次
+        const currentRoute = _currentRouteSignal();
+        const location = _getCurrentLocationString();
+        if (!currentRoute || currentRoute.fullPath !== location) {
+            _runNavigation(location, { fromPopState: true });
+        }
+    }
+}
+window.addEventListener("popstate", _handleBrowserLocationChange);
+window.addEventListener("hashchange", _handleBrowserLocationChange);
 document.addEventListener("click", (event) => {
     const anchor = event.target.closest("a");
-    if (anchor && anchor.href) {
-        const targetUrl = new URL(anchor.href, window.location.origin);
-        if (targetUrl.origin === window.location.origin && !anchor.target && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey && anchor.getAttribute("download") === null) {
-            const newLocationString = targetUrl.pathname + targetUrl.search + targetUrl.hash;
-            if (_getCurrentLocationString() !== newLocationString) {
-                event.preventDefault();
-                history.pushState(null, "", anchor.href);
-                _updateCurrentUrlSignal();
-            } else if (anchor.href.includes("#") && targetUrl.pathname === window.location.pathname && targetUrl.search === window.location.search) {
-                event.preventDefault();
-                if (_getCurrentLocationString() !== newLocationString) {
-                    history.pushState(null, "", anchor.href);
-                    _updateCurrentUrlSignal();
-                }
-            }
-        }
+    if (!anchor || !anchor.href || anchor.target || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || anchor.getAttribute("download") !== null) {
+        return;
+    }
+    let targetUrl;
+    try {
+        targetUrl = new URL(anchor.href);
+    } catch (e) {
+        return;
+    }
+    if (targetUrl.origin !== window.location.origin) return;
+    const newLocationString = _appLocationFromUrl(targetUrl);
+    if (newLocationString === null) return;
+    event.preventDefault();
+    if (_getCurrentLocationString() === newLocationString) return;
+    if (_routerState.installed) {
+        // 已启用路由时交给路由器处理，以便执行导航守卫
+        nueRouter.push(newLocationString);
+    } else {
+        history.pushState(null, "", _toBrowserUrl(newLocationString));
+        _updateCurrentUrlSignal();
     }
 });
 function createUrlWatch(urlPattern, onMatch, onUnmatch) {
@@ -210,45 +842,591 @@ function createUrlWatch(urlPattern, onMatch, onUnmatch) {
     return stopWatchingSignal;
 }
 function navigateTo(path, state = null, title = "") {
-    const newLocationString = new URL(path, window.location.origin).pathname + new URL(path, window.location.origin).search + new URL(path, window.location.origin).hash;
+    if (_routerState.installed) {
+        return nueRouter.push(path);
+    }
+    const newLocationString = _normalizeAppLocation(path);
     if (_getCurrentLocationString() !== newLocationString) {
-        history.pushState(state, title, path);
+        history.pushState(state, title, _toBrowserUrl(newLocationString));
         _updateCurrentUrlSignal();
     }
 }
 
-// 组件及模块相关缓存与注册表
-const componentCache = new Map();
-const _pendingRequests = new Map();
-const componentCleanupRegistry = new WeakMap();
-const njsModuleExecutionCache = new Map();
-const _pendingNjsModuleLoads = new Map();
+// ===================================================================
+// 声明式路由：路由表、$route、导航守卫与 <router-view>
+// ===================================================================
+const ROUTER_VIEW_DEPTH = Symbol("nue-router-view-depth");
+const _routerState = {
+    installed: false,
+    records: [], // 展开后的可匹配记录，每条包含从父到子的 matched 链
+    beforeGuards: [],
+    afterGuards: [],
+    navigationId: 0,
+    readyPromise: null,
+    position: 0, // 当前历史记录的位置，见 _readHistoryPosition
+};
+const MAX_REDIRECTS = 10;
+const _currentRouteSignal = createSignal(null);
 
-// 辅助函数 (无修改)
-function resolveUrl(relativeOrAbsoluteUrl, baseComponentUrl) {
-    if (/^(?:[a-z]+:)?\/\//i.test(relativeOrAbsoluteUrl)) {
-        return new URL(relativeOrAbsoluteUrl, window.location.origin).href;
-    }
-    if (relativeOrAbsoluteUrl.startsWith("/")) {
-        if (!relativeOrAbsoluteUrl.startsWith("//")) {
-            return new URL(relativeOrAbsoluteUrl, window.location.origin).href;
-        }
-    }
-    try {
-        const base = baseComponentUrl ? new URL(baseComponentUrl, window.location.origin) : new URL(window.location.href);
-        return new URL(relativeOrAbsoluteUrl, base).href;
-    } catch (e) {
-        console.warn(`核心警告：解析 URL "${relativeOrAbsoluteUrl}" (基准: "${baseComponentUrl || window.location.href}") 失败，将按原样使用。错误:`, e);
-        return relativeOrAbsoluteUrl;
-    }
+// 路由写入的每条历史记录在 history.state 中带有位置序号；
+// 后退/前进被守卫取消时据此用 history.go 回到原来的记录，而不是新增一条记录
+const HISTORY_POSITION_KEY = "__nuePosition";
+
+function _readHistoryPosition() {
+    const state = history.state;
+    return state && Number.isInteger(state[HISTORY_POSITION_KEY]) ? state[HISTORY_POSITION_KEY] : null;
 }
-function getVersionedAndOriginalUrls(rawUrl, baseComponentUrlForResolution) {
-    const originalAbsoluteUrl = resolveUrl(rawUrl, baseComponentUrlForResolution);
-    let versionedUrl = originalAbsoluteUrl;
-    if (NueCoreConfig.appVersion) {
-        try {
+
+function _writeHistoryEntry(replace, location) {
+    const position = replace ? _routerState.position : _routerState.position + 1;
+    history[replace ? "replaceState" : "pushState"]({ [HISTORY_POSITION_KEY]: position }, "", location === undefined ? window.location.href : _toBrowserUrl(location));
+    _routerState.position = position;
+}
+
+function _normalizeRoutePath(path) {
+    const normalized = `/${path}`.replace(/\/{2,}/g, "/");
+    return normalized.length > 1 ? normalized.replace(/\/$/, "") : normalized;
+}
+
+/**
+ * 把 "/chat/:id" 形式的路径编译为正则。支持 :name、可选的 :name? 和通配符 *。
+ * 正则匹配的是未解码的 pathname，因此静态片段按 URL 编码后再转义。
+ */
+function _compileRoutePath(path) {
+    const keys = [];
+    const segments = path.split("/").filter(Boolean);
+    const source = segments
+        .map((segment) => {
+            if (segment === "*") {
+                keys.push("pathMatch");
+                return "(?:/(.*))?";
+            }
+            const paramMatch = segment.match(/^:([\w$]+)(\?)?$/);
+            if (paramMatch) {
+                keys.push(paramMatch[1]);
+                return paramMatch[2] ? "(?:/([^/]+))?" : "/([^/]+)";
+            }
+            return `/${encodeURI(segment).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+        })
+        .join("");
+    return { regex: new RegExp(`^${source}/?$`, "i"), keys };
+}
+
+function _flattenRoutes(routes, parentPath, parentMatched, componentBaseUrl, output) {
+    routes.forEach((route) => {
+        if (!route || typeof route.path !== "string") {
+            console.error("[NueCore.router] 路由配置缺少 path:", route);
+            return;
+        }
+        const fullPath = _normalizeRoutePath(route.path.startsWith("/") ? route.path : `${parentPath}/${route.path}`);
+        const record = {
+            path: fullPath,
+            name: route.name || null,
+            meta: route.meta || {},
+            redirect: route.redirect,
+            props: route.props,
+            // 组件路径在配置时按页面地址解析，之后导航到任何路径都不受影响
+            component: route.component ? resolveUrl(route.component, componentBaseUrl) : null,
+        };
+        const matched = parentMatched.concat(record);
+        // 子路由优先匹配，空路径的子路由即父路由的默认子视图
+        if (Array.isArray(route.children) && route.children.length > 0) {
+            _flattenRoutes(route.children, fullPath, matched, componentBaseUrl, output);
+        }
+        output.push({ ...record, ..._compileRoutePath(fullPath), matched });
+    });
+    return output;
+}
+
+function _parseQuery(search) {
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        if (query.hasOwnProperty(key)) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    });
+    return query;
+}
+
+/**
+ * 把一个位置 (字符串或 { path, query, hash } / { name, params }) 解析为路由对象。
+ * @returns {object} { path, fullPath, params, query, hash, name, meta, matched }
+ */
+function resolveRoute(location) {
+    let target = location;
+    if (target && typeof target === "object") {
+        let path = target.path;
+        if (!path && target.name) {
+            const named = _routerState.records.find((record) => record.name === target.name);
+            if (!named) {
+                console.error(`[NueCore.router] 找不到名为 "${target.name}" 的路由。`);
+                path = "/";
+            } else {
+                const params = target.params || {};
+                path = named.path.replace(/:([\w$]+)\??/g, (match, key) => (params[key] !== undefined ? encodeURIComponent(params[key]) : "")).replace(/\/\*$/, "");
+            }
+        }
+        const search = target.query ? new URLSearchParams(target.query).toString() : "";
+        target = `${path || "/"}${search ? `?${search}` : ""}${target.hash || ""}`;
+    }
+    const url = new URL(String(target), APP_LOCATION_ORIGIN + _routerCurrentPathForResolution());
+    // 用未解码的 pathname 匹配，参数只解码一次；否则 "%2F" 会被当成路径分隔符，"%25" 会被解码两次
+    const rawPath = _normalizeRoutePath(url.pathname);
+    const path = _decodeRouteComponent(rawPath, decodeURI) ?? rawPath;
+    const route = { path, fullPath: rawPath + url.search + url.hash, params: {}, query: _parseQuery(url.search), hash: url.hash, name: null, meta: {}, matched: [] };
+    for (const record of _routerState.records) {
+        const match = rawPath.match(record.regex);
+        if (!match) continue;
+        const params = {};
+        // 参数编码无效时这条记录不算匹配，继续尝试后面的记录 (最终落到通配符路由，pathMatch 保留原始值)
+        const isValid = record.keys.every((key, index) => {
+            if (match[index + 1] === undefined) return true;
+            const decoded = _decodeRouteComponent(match[index + 1], decodeURIComponent);
+            params[key] = decoded ?? (key === "pathMatch" ? match[index + 1] : null);
+            return params[key] !== null;
+        });
+        if (!isValid) continue;
+        route.params = params;
+        route.name = record.name;
+        route.matched = record.matched;
+        route.meta = Object.assign({}, ...record.matched.map((m) => m.meta));
+        break;
+    }
+    return route;
+}
+
+// 解码失败 (如 "%E0%A4%A" 或单独的 "%") 时返回 null
+function _decodeRouteComponent(value, decode) {
+    try {
+        return decode(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+function _routerCurrentPathForResolution() {
+    const current = _currentRouteSignal();
+    // 解码后的 path 可能含有 "%" 等字符，作为解析基准时使用未解码的地址
+    return current ? current.fullPath.replace(/[?#].*$/, "") : "/";
+}
+
+/**
+ * 执行一次导航：解析目标、处理重定向、依次调用 beforeEach 守卫，通过后提交 URL 和 $route。
+ * @returns {Promise<boolean>} 导航是否最终完成。
+ */
+async function _runNavigation(location, { replace = false, fromPopState = false, redirectCount = 0 } = {}) {
+    const navigationId = ++_routerState.navigationId;
+    const from = _currentRouteSignal();
+    const to = resolveRoute(location);
+    // 前进/后退到的记录的位置；不是路由写入的记录 (如 hash 模式下手动修改地址) 时为 null
+    const poppedPosition = fromPopState ? _readHistoryPosition() : null;
+    const abort = () => {
+        // 浏览器前进/后退已经改了地址栏，取消时回到原来的历史记录，前进/后退的记录保持不变
+        if (fromPopState && from) {
+            if (poppedPosition !== null && poppedPosition !== _routerState.position) {
+                // 回到原记录时触发的 popstate 地址与当前路由相同，不会再次导航
+                history.go(_routerState.position - poppedPosition);
+            } else {
+                history.replaceState(history.state, "", _toBrowserUrl(from.fullPath));
+                _updateCurrentUrlSignal();
+            }
+        }
+        return false;
+    };
+    const redirectTo = (target) => {
+        if (redirectCount >= MAX_REDIRECTS) {
+            console.error(`[NueCore.router] 重定向次数超过 ${MAX_REDIRECTS} 次，导航已取消 (目标: ${to.fullPath})。`);
+            return abort();
+        }
+        // 从前进/后退发起的重定向替换到达的那条记录
+        if (poppedPosition !== null) _routerState.position = poppedPosition;
+        return _runNavigation(target, { replace: replace || fromPopState, redirectCount: redirectCount + 1 });
+    };
+
+    const redirectRecord = to.matched.length > 0 ? to.matched[to.matched.length - 1] : null;
+    if (redirectRecord && redirectRecord.redirect) {
+        const target = typeof redirectRecord.redirect === "function" ? redirectRecord.redirect(to) : redirectRecord.redirect;
+        return redirectTo(target);
+    }
+    for (const guard of _routerState.beforeGuards) {
+        let result;
+        try {
+            result = await guard(to, from);
+        } catch (error) {
+            console.error(`[NueCore.router] beforeEach 守卫执行出错，导航到 ${to.fullPath} 已取消:`, error);
+            return abort();
+        }
+        // 守卫期间又发起了新的导航，本次作废
+        if (navigationId !== _routerState.navigationId) return false;
+        if (result === false) return abort();
+        if (typeof result === "string" || (result && typeof result === "object")) {
+            return redirectTo(result);
+        }
+    }
+    if (fromPopState) {
+        if (poppedPosition !== null) _routerState.position = poppedPosition;
+    } else if (_getCurrentLocationString() !== to.fullPath) {
+        _writeHistoryEntry(replace, to.fullPath);
+        _updateCurrentUrlSignal();
+    }
+    _currentRouteSignal(to);
+    _routerState.afterGuards.forEach((guard) => {
+        try {
+            guard(to, from);
+        } catch (error) {
+            console.error("[NueCore.router] afterEach 钩子执行出错:", error);
+        }
+    });
+    return true;
+}
+
+function _addRouterGuard(list, guard) {
+    if (typeof guard !== "function") {
+        console.error("[NueCore.router] 守卫必须是函数。");
+        return () => {};
+    }
+    list.push(guard);
+    return () => {
+        const index = list.indexOf(guard);
+        if (index !== -1) list.splice(index, 1);
+    };
+}
+
+const nueRouter = {
+    /** 当前路由的 Signal，模板中可通过 $route 直接读取。 */
+    currentRoute: _currentRouteSignal,
+    push: (location) => _runNavigation(location),
+    replace: (location) => _runNavigation(location, { replace: true }),
+    back: () => history.back(),
+    resolve: resolveRoute,
+    /** 注册前置守卫 (to, from) => false | 重定向位置 | undefined，可返回 Promise。返回注销函数。 */
+    beforeEach: (guard) => _addRouterGuard(_routerState.beforeGuards, guard),
+    /** 注册后置钩子 (to, from) => void。返回注销函数。 */
+    afterEach: (guard) => _addRouterGuard(_routerState.afterGuards, guard),
+    /** 首次导航完成后 resolve。 */
+    isReady: () => _routerState.readyPromise || Promise.resolve(false),
+};
+
+/**
+ * 配置路由表并按当前地址完成首次导航。
+ * @param {object} options
+ * @param {Array<object>} options.routes - 路由表：{ path, component, name, meta, redirect, props, children }。
+ * @param {"history"|"hash"} [options.mode] - 地址模式，见 configureRouterMode。
+ * @param {string} [options.base] - history 模式下的子路径。
+ * @returns {object} 路由器对象 (同 NueCore.router)。
+ */
+function createRouter(options = {}) {
+    const routes = Array.isArray(options) ? options : options.routes;
+    if (!Array.isArray(routes)) {
+        console.error("[NueCore.createRouter] routes 必须是数组。");
+        return nueRouter;
+    }
+    configureRouterMode(Array.isArray(options) ? {} : options);
+    _routerState.records = _flattenRoutes(routes, "", [], _getResolutionBaseUrl(), []);
+    _routerState.installed = true;
+    // 刷新页面后沿用记录中的位置，否则从当前记录开始编号
+    const position = _readHistoryPosition();
+    _routerState.position = position !== null ? position : 0;
+    if (position === null) _writeHistoryEntry(true);
+    _routerState.readyPromise = _runNavigation(_getCurrentLocationString(), { replace: true });
+    return nueRouter;
+}
+
+function _createRouteProps(record) {
+    if (record.props === true) {
+        // 把路由参数作为响应式 Prop 传入，同一路由仅参数变化时组件无需重新挂载
+        const props = {};
+        _compileRoutePath(record.path).keys.forEach((key) => {
+            Object.defineProperty(props, key, { get: () => (_currentRouteSignal() || { params: {} }).params[key], enumerable: true });
+        });
+        return props;
+    }
+    if (typeof record.props === "function") return record.props(_currentRouteSignal()) || {};
+    if (record.props && typeof record.props === "object") return { ...record.props };
+    return {};
+}
+
+/**
+ * <router-view> 内置组件：按嵌套深度渲染当前路由匹配到的组件，切换时卸载旧组件。
+ */
+async function handleRouterView(element, scope, directiveHandlers, parentComponentName) {
+    const depth = scope[ROUTER_VIEW_DEPTH] || 0;
+    const startAnchor = document.createComment(`router-view (depth ${depth})`);
+    const endAnchor = document.createComment("/router-view");
+    const hydrateRange = _takeHydrationRange(element);
+    if (!element.parentNode) return;
+    if (hydrateRange) {
+        // 注水：首次渲染的路由组件接管两个注释之间预渲染的节点
+        element.parentNode.removeChild(element);
+        _adoptHydrationRange(hydrateRange, startAnchor, endAnchor);
+    } else {
+        element.parentNode.insertBefore(startAnchor, element);
+        element.parentNode.replaceChild(endAnchor, element);
+    }
+    let isHydrating = !!hydrateRange;
+    let currentRecord;
+    let latestMount = null;
+    const clearView = () => {
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+    };
+    createEffect(() => {
+        const route = _currentRouteSignal();
+        const record = route ? route.matched[depth] : undefined;
+        const viewHydrateRange = isHydrating && record && record.component ? { start: startAnchor, end: endAnchor } : null;
+        if (record === currentRecord && !isHydrating) return;
+        isHydrating = false;
+        currentRecord = record;
+        if (!viewHydrateRange) clearView();
+        if (!record || !record.component || !endAnchor.parentNode) return;
+        const mountPoint = document.createComment(`route-component: ${record.path}`);
+        endAnchor.parentNode.insertBefore(mountPoint, endAnchor);
+        const routeName = record.name || `${parentComponentName} (router-view)`;
+        // 旧的挂载若仍在进行，其挂载点已被 clearView 移除，mountComponent 会自行丢弃渲染结果
+        latestMount = mountComponent(record.component, mountPoint, _createRouteProps(record), {}, routeName, {}, null, { parentScope: scope, scopeExtensions: { [ROUTER_VIEW_DEPTH]: depth + 1 }, hydrateRange: viewHydrateRange });
+    });
+    // 与普通子组件一样，首次渲染完成后才算父组件编译完成
+    await latestMount;
+}
+
+// 组件及模块相关缓存与注册表
+const componentCache = new Map();
+const _pendingRequests = new Map();
+const componentCleanupRegistry = new WeakMap();
+const njsModuleExecutionCache = new Map();
+const _pendingNjsModuleLoads = new Map();
+
+// 辅助函数 (无修改)
+function resolveUrl(relativeOrAbsoluteUrl, baseComponentUrl) {
+    // 以 href 而非 origin 为基准：file:// 页面的 origin 是 "null"，无法用来构造 URL
+    if (/^(?:[a-z]+:)?\/\//i.test(relativeOrAbsoluteUrl)) {
+        return new URL(relativeOrAbsoluteUrl, window.location.href).href;
+    }
+    if (relativeOrAbsoluteUrl.startsWith("/")) {
+        if (!relativeOrAbsoluteUrl.startsWith("//")) {
+            return new URL(relativeOrAbsoluteUrl, window.location.href).href;
+        }
+    }
+    try {
+        const base = baseComponentUrl ? new URL(baseComponentUrl, window.location.href) : new URL(_getResolutionBaseUrl());
+        return new URL(relativeOrAbsoluteUrl, base).href;
+    } catch (e) {
+        console.warn(`核心警告：解析 URL "${relativeOrAbsoluteUrl}" (基准: "${baseComponentUrl || window.location.href}") 失败，将按原样使用。错误:`, e);
+        return relativeOrAbsoluteUrl;
+    }
+}
+/**
+ * 查找预加载包 (window.__NUE_PRELOADED_DATA__) 中的条目。
+ * 包以相对于应用根目录的路径为键 (应用根目录之外的资源以绝对 URL 为键)，
+ * 值是 { hash, text } 或 { hash, structure } 对象。
+ * @param {string} originalAbsoluteUrl - 资源的原始绝对 URL (可能带有版本参数 v)。
+ * @returns {object|undefined}
+ */
+function _getPreloadedEntry(originalAbsoluteUrl) {
+    return _lookupAppResource(window.__NUE_PRELOADED_DATA__, originalAbsoluteUrl);
+}
+
+/**
+ * 查找 scripts/build.js --compile 生成的预编译脚本 (window.__NUE_COMPILED_SCRIPTS__)，仅在 CSP 模式下使用。
+ * 条目是 { script, props }：script 以参数名为键的对象调用，props 返回 <script props> 的求值结果。
+ * 开启完整性校验时只返回加载资源时已通过校验的函数 (见 _verifyCompiledScripts)；
+ * 未开启时 script 和 props 都直接取自页面上的 window.__NUE_COMPILED_SCRIPTS__，与页面中其他脚本同等信任。
+ * @param {string} originalAbsoluteUrl - 组件或 NJS 文件的原始绝对 URL。
+ * @returns {object|undefined}
+ */
+function _getCompiledScripts(originalAbsoluteUrl) {
+    if (_integrityState.enabled) return _integrityState.compiledScripts.get(originalAbsoluteUrl.replace(/[?#].*$/, ""));
+    return _lookupAppResource(window.__NUE_COMPILED_SCRIPTS__, originalAbsoluteUrl);
+}
+
+// 按绝对 URL 或相对于应用根目录的路径查找构建产物中的条目
+function _lookupAppResource(data, originalAbsoluteUrl) {
+    if (!data || typeof data !== "object") return undefined;
+    if (Object.prototype.hasOwnProperty.call(data, originalAbsoluteUrl)) return data[originalAbsoluteUrl];
+    const relativePath = _getAppRelativePath(originalAbsoluteUrl);
+    if (relativePath !== null && Object.prototype.hasOwnProperty.call(data, relativePath)) return data[relativePath];
+    return undefined;
+}
+
+// 资源相对于应用根目录的路径 (不含查询参数)，不在应用根目录下时返回 null
+function _getAppRelativePath(originalAbsoluteUrl) {
+    try {
+        const urlObj = new URL(originalAbsoluteUrl);
+        const appRoot = new URL(".", _getResolutionBaseUrl()).href;
+        const withoutQuery = `${urlObj.origin === "null" ? `${urlObj.protocol}//` : urlObj.origin}${urlObj.pathname}`;
+        return withoutQuery.startsWith(appRoot) ? decodeURI(withoutQuery.substring(appRoot.length)) : null;
+    } catch (e) {
+        // 无法解析的 URL 不会出现在构建产物中
+        return null;
+    }
+}
+
+// ===================================================================
+// 完整性校验：构建包携带 SHA-256 清单 (window.__NUE_INTEGRITY_MANIFEST__)，可以用 ECDSA P-256 私钥签名。
+// 开启 init 的 integrity 选项后，组件和 NJS 在解析、执行之前用 WebCrypto 逐个校验，
+// 不在清单中或哈希不符的资源一律拒绝加载。
+// 未签名的清单和构建包一样是页面上的全局变量，只能发现意外损坏；防篡改需要签名，且公钥由页面自己的 init 调用提供。
+// ===================================================================
+const _integrityState = {
+    enabled: false,
+    files: null, // Promise<{ 路径: SHA-256 十六进制 }>，清单签名校验失败时为 rejected
+    compiledScripts: new Map(), // 资源 URL (不含查询参数) -> 已通过校验的预编译函数 { script, props }
+};
+
+function _createIntegrityError(message, url) {
+    const error = new Error(message);
+    error.name = "IntegrityError";
+    error.url = url || null;
+    return error;
+}
+
+/**
+ * 按 init 的 integrity 选项开启或关闭校验。
+ * @param {boolean|object} options - true 只校验哈希 (可发现意外损坏，但清单本身可被改写)；{ publicKey, manifest } 还要求清单带有有效签名。
+ *     publicKey 可以是 PEM / Base64 格式的 SPKI 公钥，或 JWK 对象；manifest 默认为 window.__NUE_INTEGRITY_MANIFEST__。
+ * @returns {Promise|null} 清单就绪 (签名已验证) 的 Promise。
+ */
+function _configureIntegrity(options) {
+    _integrityState.compiledScripts.clear();
+    if (!options) {
+        _integrityState.enabled = false;
+        _integrityState.files = null;
+        return null;
+    }
+    const config = options === true ? {} : options;
+    _integrityState.enabled = true;
+    _integrityState.files = _loadIntegrityManifest(config.manifest || window.__NUE_INTEGRITY_MANIFEST__, config.publicKey);
+    return _integrityState.files;
+}
+
+async function _loadIntegrityManifest(manifest, publicKey) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw _createIntegrityError("完整性校验需要 WebCrypto (crypto.subtle)，页面必须在 HTTPS 或 localhost 下运行");
+    }
+    if (!manifest || !manifest.files || typeof manifest.files !== "object") {
+        throw _createIntegrityError("已开启完整性校验，但没有找到清单 window.__NUE_INTEGRITY_MANIFEST__，请在 nono-core.js 之后引入 scripts/build.js 生成的构建包");
+    }
+    if (publicKey) {
+        if (typeof manifest.signature !== "string" || !manifest.signature) {
+            throw _createIntegrityError("完整性清单没有签名，请用 scripts/build.js --sign-key 重新构建");
+        }
+        let valid = false;
+        try {
+            const key = await _importIntegrityPublicKey(publicKey);
+            const data = new TextEncoder().encode(_serializeIntegrityFiles(manifest.files));
+            valid = await window.crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, _base64ToBytes(manifest.signature), data);
+        } catch (error) {
+            throw _createIntegrityError(`校验完整性清单签名时出错: ${error.message}`);
+        }
+        if (!valid) throw _createIntegrityError("完整性清单的签名无效，构建包可能被篡改");
+    }
+    return manifest.files;
+}
+
+// 签名覆盖按路径排序后的 [路径, 哈希] 列表，与 scripts/build.js 的序列化方式一致
+function _serializeIntegrityFiles(files) {
+    return JSON.stringify(
+        Object.keys(files)
+            .sort()
+            .map((file) => [file, files[file]]),
+    );
+}
+
+function _importIntegrityPublicKey(publicKey) {
+    const algorithm = { name: "ECDSA", namedCurve: "P-256" };
+    if (typeof publicKey === "object") {
+        return window.crypto.subtle.importKey("jwk", publicKey, algorithm, false, ["verify"]);
+    }
+    const base64 = String(publicKey).replace(/-----(BEGIN|END) PUBLIC KEY-----/g, "").replace(/\s+/g, "");
+    return window.crypto.subtle.importKey("spki", _base64ToBytes(base64), algorithm, false, ["verify"]);
+}
+
+function _base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+async function _sha256Hex(text) {
+    const digest = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// 清单中的哈希针对资源实际交付的形式：构建包中组件的预解析结构按固定顺序序列化，其余资源为原文
+function _getIntegrityPayload(entry) {
+    if (typeof entry === "string") return entry;
+    if (entry.structure) {
+        const { template, script, style, styleScoped, propsScript } = entry.structure;
+        return JSON.stringify([template, script, style, !!styleScoped, propsScript || ""]);
+    }
+    return entry.text;
+}
+
+/**
+ * CSP 模式下校验资源的预编译脚本。清单以 "<路径>#script"、"<路径>#props" 为键记录函数源码
+ * (Function.prototype.toString 的结果) 的 SHA-256；通过校验的函数保存下来，之后只调用这些函数，
+ * 不再读取页面上可被改写的 window.__NUE_COMPILED_SCRIPTS__。没有预编译脚本时直接返回，由使用处报告缺失。
+ * 哈希针对函数源码而不是文件，预编译文件在构建后被压缩或转译同样会导致校验失败。
+ * @param {string} originalAbsoluteUrl - 组件或 NJS 文件的原始绝对 URL。
+ * @throws {Error} name 为 "IntegrityError"，url 为资源地址。
+ */
+async function _verifyCompiledScripts(originalAbsoluteUrl) {
+    if (!_integrityState.enabled || !NueCoreConfig.csp) return;
+    const compiled = _lookupAppResource(window.__NUE_COMPILED_SCRIPTS__, originalAbsoluteUrl);
+    if (!compiled || typeof compiled !== "object") return;
+    const files = await _integrityState.files;
+    const resourceUrl = originalAbsoluteUrl.replace(/[?#].*$/, "");
+    const relativePath = _getAppRelativePath(originalAbsoluteUrl);
+    const verified = {};
+    for (const part of ["script", "props"]) {
+        if (typeof compiled[part] !== "function") continue;
+        const keys = [`${resourceUrl}#${part}`, relativePath !== null ? `${relativePath}#${part}` : null];
+        const expected = keys.map((key) => key && Object.prototype.hasOwnProperty.call(files, key) && files[key]).find((hash) => typeof hash === "string");
+        if (!expected) {
+            throw _createIntegrityError(`资源 ${originalAbsoluteUrl} 的预编译脚本 (${part}) 不在完整性清单中，拒绝执行`, originalAbsoluteUrl);
+        }
+        const actual = await _sha256Hex(Function.prototype.toString.call(compiled[part]));
+        if (actual !== expected.toLowerCase()) {
+            throw _createIntegrityError(`资源 ${originalAbsoluteUrl} 的预编译脚本 (${part}) 与完整性清单不符，拒绝执行 (预编译文件必须与构建包出自同一次构建，且不能再被压缩或改写)`, originalAbsoluteUrl);
+        }
+        verified[part] = compiled[part];
+    }
+    _integrityState.compiledScripts.set(resourceUrl, verified);
+}
+
+/**
+ * 校验资源内容与清单一致，未开启完整性校验时直接返回。
+ * @param {string} originalAbsoluteUrl - 资源的原始绝对 URL。
+ * @param {string} payload - 待校验的内容，见 _getIntegrityPayload。
+ * @throws {Error} name 为 "IntegrityError"，url 为资源地址。
+ */
+async function _verifyIntegrity(originalAbsoluteUrl, payload) {
+    if (!_integrityState.enabled) return;
+    const files = await _integrityState.files;
+    const expected = _lookupAppResource(files, originalAbsoluteUrl);
+    if (typeof expected !== "string") {
+        throw _createIntegrityError(`资源 ${originalAbsoluteUrl} 不在完整性清单中，拒绝加载`, originalAbsoluteUrl);
+    }
+    const actual = await _sha256Hex(payload);
+    if (actual !== expected.toLowerCase()) {
+        throw _createIntegrityError(`资源 ${originalAbsoluteUrl} 的 SHA-256 与完整性清单不符，拒绝加载`, originalAbsoluteUrl);
+    }
+}
+
+function getVersionedAndOriginalUrls(rawUrl, baseComponentUrlForResolution) {
+    const originalAbsoluteUrl = resolveUrl(rawUrl, baseComponentUrlForResolution);
+    let versionedUrl = originalAbsoluteUrl;
+    // 构建包中的资源使用内容哈希作为版本，内容不变时缓存键也不变
+    const preloadedEntry = _getPreloadedEntry(originalAbsoluteUrl);
+    const version = preloadedEntry && preloadedEntry.hash ? preloadedEntry.hash : NueCoreConfig.appVersion;
+    if (version) {
+        try {
             const urlObj = new URL(originalAbsoluteUrl);
-            urlObj.searchParams.set("v", NueCoreConfig.appVersion);
+            urlObj.searchParams.set("v", version);
             versionedUrl = urlObj.href;
         } catch (e) {
             console.warn(`核心警告：为 URL "${originalAbsoluteUrl}" 添加版本号失败，将使用原始URL。错误:`, e);
@@ -261,32 +1439,19 @@ function parseComponentStructure(text, versionedUrl) {
     if (cached && cached.structure) {
         return cached.structure;
     }
-    let template = "";
-    let script = "";
-    let style = "";
-    const firstTemplateStartTag = text.indexOf("<template");
-    if (firstTemplateStartTag !== -1) {
-        const firstTemplateStartTagEnd = text.indexOf(">", firstTemplateStartTag);
-        if (firstTemplateStartTagEnd !== -1) {
-            const lastTemplateEndTag = text.lastIndexOf("</template>");
-            if (lastTemplateEndTag !== -1 && lastTemplateEndTag > firstTemplateStartTagEnd) {
-                template = text.substring(firstTemplateStartTagEnd + 1, lastTemplateEndTag).trim();
-            } else {
-                const templateMatchFallback = text.match(/<template\b[^>]*>([\s\S]*?)<\/template\s*>/i);
-                template = templateMatchFallback ? templateMatchFallback[1].trim() : "";
-            }
-        }
-    }
-    const scriptMatch = text.match(/<script\b[^>]*>([\s\S]*?)<\/script\s*>/i);
-    script = scriptMatch ? scriptMatch[1].trim() : "";
-    const styleMatch = text.match(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/i);
-    style = styleMatch ? styleMatch[1].trim() : "";
-    const structure = { template, script, style };
+    const structure = { ..._splitComponentSections(text), propSchema: null };
     if (cached) {
         cached.structure = structure;
     }
     return structure;
 }
+function _getCompiledScriptFunction(originalUrl, part) {
+    const compiled = _getCompiledScripts(originalUrl);
+    if (!compiled || typeof compiled[part] !== "function") {
+        throw new Error(`CSP 模式下找不到 ${originalUrl} 的预编译脚本，请用 node scripts/build.js --compile 生成预编译文件并在页面中引入`);
+    }
+    return compiled[part];
+}
 async function _executeNjsScript(scriptContent, njsVersionedUrl, njsOriginalUrl) {
     if (!scriptContent.trim()) {
         console.warn(`核心警告：NJS 脚本 ${njsOriginalUrl} 内容为空，将返回 Promise<undefined>。`);
@@ -304,8 +1469,14 @@ async function _executeNjsScript(scriptContent, njsVersionedUrl, njsOriginalUrl)
             dynamicNjsName = `${njsOriginalUrl.replace(/[?#].*$/, "")}.temp.js`;
         }
         dynamicNjsName = encodeURI(dynamicNjsName);
-        const njsFunction = new Function("importNjs", `return (async () => { \n${scriptContent}\n })(); \n//# sourceURL=${dynamicNjsName}`);
-        const resultPromise = njsFunction(boundImportNjs);
+        // 生命周期注册函数作用于调用时正在设置的组件，NJS 中的辅助函数因此可以自行挂接生命周期
+        const { onMounted, onBeforeUnmount, onUnmounted, onUpdated, onActivated, onDeactivated } = _setupInstanceLifecycleHooks;
+        const njsArgNames = ["importNjs", "onMounted", "onBeforeUnmount", "onUnmounted", "onUpdated", "onActivated", "onDeactivated"];
+        const njsArgValues = [boundImportNjs, onMounted, onBeforeUnmount, onUnmounted, onUpdated, onActivated, onDeactivated];
+        const njsFunction = NueCoreConfig.csp
+            ? (...values) => _getCompiledScriptFunction(njsOriginalUrl, "script")(njsArgNames.reduce((args, name, index) => ((args[name] = values[index]), args), Object.create(null)))
+            : new Function(...njsArgNames, `return (async () => { \n${scriptContent}\n })(); \n//# sourceURL=${dynamicNjsName}`);
+        const resultPromise = njsFunction(...njsArgValues);
         return await resultPromise;
     } catch (error) {
         throw error;
@@ -313,6 +1484,7 @@ async function _executeNjsScript(scriptContent, njsVersionedUrl, njsOriginalUrl)
 }
 async function _loadAndExecuteNjsModule(relativePath, baseOriginalUrl) {
     const { versionedUrl, originalUrl } = getVersionedAndOriginalUrls(relativePath, baseOriginalUrl);
+    if (_hotReloadState.enabled) _addHotDependency(originalUrl, baseOriginalUrl);
     if (njsModuleExecutionCache.has(versionedUrl)) {
         return njsModuleExecutionCache.get(versionedUrl);
     }
@@ -332,9 +1504,9 @@ async function _loadAndExecuteNjsModule(relativePath, baseOriginalUrl) {
         }
     })();
     _pendingNjsModuleLoads.set(versionedUrl, loadPromise);
-    loadPromise.finally(() => {
-        _pendingNjsModuleLoads.delete(versionedUrl);
-    });
+    // 用 then 的两个回调清理，finally 派生的 Promise 会在加载失败时产生一个无人处理的拒绝
+    const clearPending = () => _pendingNjsModuleLoads.delete(versionedUrl);
+    loadPromise.then(clearPending, clearPending);
     return loadPromise;
 }
 function kebabToCamel(kebabCase) {
@@ -342,18 +1514,21 @@ function kebabToCamel(kebabCase) {
 }
 // [REPLACE] 步骤 3.1: 用这个版本替换旧的 fetchAndCacheComponentText
 async function fetchAndCacheComponentText(versionedUrl, originalAbsoluteUrl) {
-    if (window.__NUE_PRELOADED_DATA__ && typeof window.__NUE_PRELOADED_DATA__ === "object" && window.__NUE_PRELOADED_DATA__.hasOwnProperty(originalAbsoluteUrl)) {
-        const confusedTextFromBundle = window.__NUE_PRELOADED_DATA__[originalAbsoluteUrl];
-        const preloadedText = nueSimpleTransform(confusedTextFromBundle, __NUE_CONFUSION_KEY__);
-        if (!componentCache.has(versionedUrl)) {
-            // [MODIFIED] 增加 templateElement: null 字段
-            componentCache.set(versionedUrl, { text: preloadedText, structure: null, templateElement: null, originalUrl: originalAbsoluteUrl });
-        } else {
-            const cachedEntry = componentCache.get(versionedUrl);
-            cachedEntry.text = preloadedText;
-            cachedEntry.originalUrl = originalAbsoluteUrl;
+    const preloadedEntry = _getPreloadedEntry(originalAbsoluteUrl);
+    if (preloadedEntry && typeof preloadedEntry === "object") {
+        // 构建包：组件只携带预解析的结构，文本留空
+        const preloadedText = typeof preloadedEntry.text === "string" ? preloadedEntry.text : "";
+        const cachedEntry = componentCache.get(versionedUrl);
+        if (!cachedEntry || cachedEntry.text !== preloadedText) {
+            await _verifyIntegrity(originalAbsoluteUrl, _getIntegrityPayload(preloadedEntry));
+            await _verifyCompiledScripts(originalAbsoluteUrl);
+            const structure = preloadedEntry.structure ? { styleScoped: false, propsScript: "", ...preloadedEntry.structure, propSchema: null } : null;
+            componentCache.set(versionedUrl, { text: preloadedText, structure, templateElement: null, originalUrl: originalAbsoluteUrl });
         }
-        return Promise.resolve(preloadedText);
+        return preloadedText;
+    }
+    if (typeof preloadedEntry === "string") {
+        console.warn(`核心警告：预加载包中 ${originalAbsoluteUrl} 是旧的混淆格式，已不再支持，将从服务器加载。请用 scripts/build.js 或 NueCore.exportDependencyBundle() 重新生成。`);
     }
     const memoryCached = componentCache.get(versionedUrl);
     if (memoryCached && typeof memoryCached.text === "string") {
@@ -362,15 +1537,18 @@ async function fetchAndCacheComponentText(versionedUrl, originalAbsoluteUrl) {
     if (_pendingRequests.has(versionedUrl)) {
         return _pendingRequests.get(versionedUrl);
     }
-    const fetchPromise = fetch(versionedUrl)
+    // 开发热重载时每次都向服务器确认，避免拿到浏览器缓存的旧文件
+    const fetchPromise = fetch(versionedUrl, _hotReloadState.enabled ? { cache: "no-cache" } : undefined)
         .then((response) => {
             if (!response.ok) {
                 throw new Error(`加载资源 ${versionedUrl} (原始: ${originalAbsoluteUrl}) 失败: ${response.status} ${response.statusText}`);
             }
             return response.text();
         })
-        .then((text) => {
-            // [MODIFIED] 增加 templateElement: null 字段
+        .then(async (text) => {
+            // 校验通过之前不写入缓存，未通过的内容不会被解析或执行
+            await _verifyIntegrity(originalAbsoluteUrl, text);
+            await _verifyCompiledScripts(originalAbsoluteUrl);
             componentCache.set(versionedUrl, { text, structure: null, templateElement: null, originalUrl: originalAbsoluteUrl });
             _pendingRequests.delete(versionedUrl);
             return text;
@@ -384,6 +1562,202 @@ async function fetchAndCacheComponentText(versionedUrl, originalAbsoluteUrl) {
     return fetchPromise;
 }
 
+/**
+ * 读取组件缓存条目，必要时获取源文本并解析结构。
+ * @param {string} versionedUrl - 带版本号的组件 URL。
+ * @param {string} originalAbsoluteUrl - 组件的原始绝对 URL。
+ * @returns {Promise<object>} 含 structure 的缓存条目。
+ */
+async function loadComponentEntry(versionedUrl, originalAbsoluteUrl) {
+    const componentText = await fetchAndCacheComponentText(versionedUrl, originalAbsoluteUrl);
+    let cacheEntry = componentCache.get(versionedUrl);
+    if (!cacheEntry) {
+        cacheEntry = { text: componentText, structure: null, templateElement: null, originalUrl: originalAbsoluteUrl };
+        componentCache.set(versionedUrl, cacheEntry);
+    }
+    if (!cacheEntry.structure) {
+        cacheEntry.structure = parseComponentStructure(componentText, versionedUrl);
+    }
+    return cacheEntry;
+}
+
+/**
+ * 求值组件 <script props> 块中声明的 Prop 模式，结果缓存在 structure 上。
+ * 块内容是一个对象表达式，例如 `{ text: { type: String, required: true, default: "" } }`。
+ * @param {object} structure - parseComponentStructure 返回的结构。
+ * @param {string} componentOriginalUrl - 组件的原始 URL，用于日志和 sourceURL。
+ * @returns {object} Prop 模式对象，未声明时为空对象。
+ */
+function resolvePropSchema(structure, componentOriginalUrl) {
+    if (!structure) return {};
+    if (structure.propSchema) return structure.propSchema;
+    let schema = {};
+    const source = (structure.propsScript || "").replace(/;\s*$/, "");
+    if (source) {
+        try {
+            const schemaName = encodeURI(`${componentOriginalUrl.replace(/[?#].*$/, "")}.props.temp.js`);
+            let evaluated;
+            if (NueCoreConfig.csp) {
+                // 优先使用预编译版本；没有时由表达式解释器求值 (不支持方法简写等语法)
+                const compiled = _getCompiledScripts(componentOriginalUrl);
+                evaluated = compiled && typeof compiled.props === "function" ? compiled.props() : interpretExpression(parseExpression(source), Object.create(null));
+            } else {
+                evaluated = new Function(`return (${source}); \n//# sourceURL=${schemaName}`)();
+            }
+            if (evaluated && typeof evaluated === "object") {
+                schema = evaluated;
+            } else {
+                console.warn(`核心警告：组件 ${componentOriginalUrl} 的 <script props> 未返回一个对象，将忽略。`);
+            }
+        } catch (error) {
+            console.error(`核心错误：解析组件 ${componentOriginalUrl} 的 <script props> 失败:`, error);
+        }
+    }
+    // 数组简写 ["a", "b"] 等价于不带约束的 { a: {}, b: {} }；直接写类型等价于 { type }
+    if (Array.isArray(schema)) {
+        schema = schema.reduce((acc, name) => ((acc[name] = {}), acc), {});
+    }
+    for (const propName in schema) {
+        const def = schema[propName];
+        if (typeof def === "function" || Array.isArray(def)) {
+            schema[propName] = { type: def };
+        } else if (!def || typeof def !== "object") {
+            schema[propName] = {};
+        }
+    }
+    structure.propSchema = schema;
+    return schema;
+}
+
+// ===================================================================
+// 国际化 (i18n)：按需加载 lang/<locale>.json，$t 随语言切换响应式更新
+// ===================================================================
+const _i18nConfig = {
+    path: "lang/", // 相对路径按应用根目录解析
+    fallbackLocale: "zh",
+    appRootUrl: null, // init 时确定；之前调用 setLocale 时按当前页面解析
+};
+const _i18nMessages = new Map(); // locale -> 消息对象
+const _i18nLocaleSignal = createSignal(null);
+const _i18nMessagesVersion = createSignal(0);
+const _i18nWarnedKeys = new Set();
+// 每次 setLocale 递增，加载完成时只有最后一次调用才会生效
+let _i18nLocaleRequestId = 0;
+
+// 语言文件所在目录的绝对地址；导航改变页面路径后仍指向同一个目录
+function _getLocaleDirectoryUrl() {
+    return resolveUrl(_i18nConfig.path, _i18nConfig.appRootUrl || _getAppRootUrl(_routerState.installed));
+}
+
+/**
+ * 加载某个语言的消息文件，复用组件的版本化 URL 与文本缓存。
+ * @param {string} locale - 语言代码，例如 "zh"、"en"。
+ * @returns {Promise<object>} 消息对象。
+ */
+async function loadLocaleMessages(locale) {
+    if (_i18nMessages.has(locale)) return _i18nMessages.get(locale);
+    const { versionedUrl, originalUrl } = getVersionedAndOriginalUrls(`${locale}.json`, _getLocaleDirectoryUrl());
+    const text = await fetchAndCacheComponentText(versionedUrl, originalUrl);
+    let messages = {};
+    if (text.trim()) {
+        try {
+            messages = JSON.parse(text);
+        } catch (error) {
+            console.error(`核心错误：语言文件 ${originalUrl} 不是有效的 JSON:`, error);
+        }
+    }
+    _i18nMessages.set(locale, messages);
+    _i18nMessagesVersion(_i18nMessagesVersion() + 1);
+    return messages;
+}
+
+/**
+ * 切换当前语言。消息加载完成后所有使用 $t 的绑定会原地更新，无需重新挂载组件。
+ * 加载期间再次调用时，以最后一次调用为准，先前的调用不再切换语言。
+ * @param {string} locale - 目标语言代码。
+ * @returns {Promise<string>} 切换后的语言代码；被后续调用取代时为当时的当前语言。
+ */
+async function setLocale(locale) {
+    const requestId = ++_i18nLocaleRequestId;
+    const localesToLoad = [locale];
+    if (_i18nConfig.fallbackLocale && _i18nConfig.fallbackLocale !== locale) {
+        localesToLoad.push(_i18nConfig.fallbackLocale);
+    }
+    await Promise.all(
+        localesToLoad.map((l) =>
+            loadLocaleMessages(l).catch((error) => {
+                console.error(`核心错误：加载语言 "${l}" 失败:`, error);
+            }),
+        ),
+    );
+    if (requestId !== _i18nLocaleRequestId) return _i18nLocaleSignal();
+    _i18nLocaleSignal(locale);
+    if (document.documentElement) document.documentElement.lang = locale;
+    return locale;
+}
+
+function getLocale() {
+    return _i18nLocaleSignal();
+}
+
+function _lookupMessage(locale, key) {
+    const messages = _i18nMessages.get(locale);
+    if (!messages) return undefined;
+    if (Object.prototype.hasOwnProperty.call(messages, key)) return messages[key];
+    return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages);
+}
+
+function _selectPluralForm(message, locale, count) {
+    if (typeof message === "string") {
+        if (!message.includes("|") || typeof count !== "number") return message;
+        // "单数 | 复数" 或 "零 | 单数 | 复数"
+        const forms = message.split("|").map((form) => form.trim());
+        if (forms.length >= 3) return forms[count === 0 ? 0 : count === 1 ? 1 : 2];
+        return forms[count === 1 ? 0 : 1];
+    }
+    if (message && typeof message === "object") {
+        // 按 Intl.PluralRules 的分类选择，例如 { zero, one, other }
+        if (count === 0 && message.zero !== undefined) return message.zero;
+        let category = "other";
+        try {
+            category = new Intl.PluralRules(locale).select(count);
+        } catch (error) {
+            category = count === 1 ? "one" : "other";
+        }
+        return message[category] !== undefined ? message[category] : message.other;
+    }
+    return message;
+}
+
+/**
+ * 翻译函数。在 effect 中调用时会订阅当前语言，切换语言后自动重新计算。
+ * 消息中的 {name} 会被 params.name 替换；传入 params.count 时按数量选择复数形式。
+ * @param {string} key - 消息键，支持 "a.b.c" 形式的嵌套路径。
+ * @param {object} [params] - 插值参数。
+ * @returns {string} 翻译后的文本，找不到时返回 key 本身。
+ */
+function t(key, params = {}) {
+    const locale = _i18nLocaleSignal();
+    _i18nMessagesVersion();
+    let usedLocale = locale;
+    let message = locale ? _lookupMessage(locale, key) : undefined;
+    if (message === undefined && _i18nConfig.fallbackLocale) {
+        usedLocale = _i18nConfig.fallbackLocale;
+        message = _lookupMessage(usedLocale, key);
+    }
+    if (message === undefined) {
+        const warnKey = `${locale}:${key}`;
+        if (locale && !_i18nWarnedKeys.has(warnKey)) {
+            _i18nWarnedKeys.add(warnKey);
+            console.warn(`核心警告：语言 "${locale}" 中缺少翻译键 "${key}"。`);
+        }
+        return key;
+    }
+    const selected = _selectPluralForm(message, usedLocale, params.count);
+    if (typeof selected !== "string") return String(selected);
+    return selected.replace(/\{\s*([\w$]+)\s*\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
 const propTypeConverters = {
     String: (val) => String(val),
     Number: (val) => {
@@ -402,184 +1776,1277 @@ const propTypeConverters = {
             console.warn(`Prop类型转换警告：无法将字符串 "${val}" 解析为 Object。`, e);
             return undefined;
         }
-    },
-    Array: (val) => {
-        try {
-            const parsed = JSON.parse(val);
-            return Array.isArray(parsed) ? parsed : undefined;
-        } catch (e) {
-            console.warn(`Prop类型转换警告：无法将字符串 "${val}" 解析为 Array。`, e);
-            return undefined;
+    },
+    Array: (val) => {
+        try {
+            const parsed = JSON.parse(val);
+            return Array.isArray(parsed) ? parsed : undefined;
+        } catch (e) {
+            console.warn(`Prop类型转换警告：无法将字符串 "${val}" 解析为 Array。`, e);
+            return undefined;
+        }
+    },
+};
+
+function getPropTypeName(type) {
+    return typeof type === "function" ? type.name : String(type);
+}
+
+function isPropValueOfType(value, type) {
+    switch (getPropTypeName(type)) {
+        case "String":
+            return typeof value === "string";
+        case "Number":
+            return typeof value === "number" && !isNaN(value);
+        case "Boolean":
+            return typeof value === "boolean";
+        case "Array":
+            return Array.isArray(value);
+        case "Object":
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        case "Function":
+            return typeof value === "function";
+        case "Symbol":
+            return typeof value === "symbol";
+        default:
+            return typeof type === "function" ? value instanceof type : true;
+    }
+}
+
+/**
+ * 按 Prop 模式校验一个值 (类型与自定义 validator)。
+ * @returns {string|null} 校验失败时返回原因描述，通过时返回 null。
+ */
+function validatePropValue(value, schema) {
+    if (!schema) return null;
+    if (value === undefined || value === null) {
+        return schema.required ? "值为空" : null;
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => isPropValueOfType(value, type))) {
+            const actualType = Array.isArray(value) ? "Array" : value === null ? "null" : typeof value;
+            return `期望类型 ${types.map(getPropTypeName).join(" | ")}，实际得到 ${actualType}`;
+        }
+    }
+    if (typeof schema.validator === "function") {
+        let isValid = false;
+        try {
+            isValid = schema.validator(value);
+        } catch (error) {
+            console.error("Prop 自定义 validator 执行出错:", error);
+        }
+        if (!isValid) return "未通过自定义 validator 校验";
+    }
+    return null;
+}
+
+function getPropDefault(schema) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    // Function 类型的默认值本身就是函数，不当作工厂调用
+    if (typeof schema.default === "function" && !types.some((type) => getPropTypeName(type) === "Function")) {
+        return schema.default();
+    }
+    return schema.default;
+}
+
+// ===================================================================
+// 【核心重构】统一的属性和事件处理
+// ===================================================================
+
+// nono-core.js
+
+/**
+ * 【已重构】统一的 Props 和 Events 解析与处理函数。
+ * 此函数取代了旧的 processComponentProps 和 parseComponentProps。
+ * @param {Element} element - 组件的 DOM 元素。
+ * @param {object} scope - 父组件的作用域。
+ * @param {object} propSchema - 组件定义的 Prop 模式 (可选)。
+ * @param {string} componentName - 组件的名称，用于日志。
+ * @param {string} [parentComponentName] - 父组件的名称，用于日志。
+ * @returns {{ props: object, events: object, attributesToRemove: string[] }}
+ */
+function parseAndProcessProps(element, scope, propSchema = {}, componentName, parentComponentName = "父组件") {
+    const rawProps = { static: {}, dynamic: {} };
+    const events = {};
+    const attributesToRemove = [];
+    const providedPropNames = new Set();
+
+    // 步骤 1: 从元素上提取所有属性和事件
+    for (const attr of Array.from(element.attributes)) {
+        const attrName = attr.name;
+        const attrValue = attr.value;
+        let camelCasePropName;
+
+        if (attrName.startsWith(":")) {
+            const rawPropName = attrName.substring(1);
+            camelCasePropName = kebabToCamel(rawPropName);
+            providedPropNames.add(camelCasePropName);
+            attributesToRemove.push(attrName);
+            rawProps.dynamic[camelCasePropName] = attrValue; // 存储表达式
+        } else if (attrName.startsWith("@")) {
+            const { eventName, modifiers } = parseEventAttribute(attrName);
+            attributesToRemove.push(attrName);
+            // 组件事件不是 DOM 事件，只支持 .once
+            const unsupportedModifiers = modifiers.filter((modifier) => modifier !== "once");
+            if (unsupportedModifiers.length > 0) {
+                console.warn(`指令警告：[${parentComponentName}] <${componentName}> 的组件事件 @${eventName} 不支持修饰符 ${unsupportedModifiers.map((m) => `.${m}`).join("")}，将忽略。`);
+            }
+            const once = modifiers.includes("once");
+            let called = false;
+            // 【关键】创建绑定了正确上下文的可执行函数
+            events[eventName] = (payload) => {
+                if (once && called) return;
+                called = true;
+                const executionContext = Object.create(scope);
+                executionContext.$event = payload;
+                window.NueDirectives.evaluateExpression(attrValue, executionContext, false);
+            };
+            events[eventName].errorChain = scope[ERROR_SCOPE_KEY] || null;
+        } else if (parseModelAttribute(attrName)) {
+            // 组件上的 n-model：n-model 对应 Prop modelValue 和事件 update:modelValue，n-model:title 对应 title 和 update:title
+            const { argument, modifiers } = parseModelAttribute(attrName);
+            const modelAccessor = window.NueDirectives.createModelAccessor(attrValue, scope, parentComponentName);
+            attributesToRemove.push(attrName);
+            if (modelAccessor) {
+                camelCasePropName = argument ? kebabToCamel(argument) : "modelValue";
+                providedPropNames.add(camelCasePropName);
+                rawProps.dynamic[camelCasePropName] = attrValue;
+                events[`update:${camelCasePropName}`] = (payload) => modelAccessor(window.NueDirectives.castModelValue(payload, modifiers));
+                events[`update:${camelCasePropName}`].errorChain = scope[ERROR_SCOPE_KEY] || null;
+            }
+        } else if (attrName !== "src" && attrName !== "ref" && attrName !== "n-show") {
+            camelCasePropName = kebabToCamel(attrName);
+            providedPropNames.add(camelCasePropName);
+            attributesToRemove.push(attrName);
+            rawProps.static[camelCasePropName] = attrValue;
+        }
+    }
+
+    // 步骤 2: 根据 Schema 处理静态属性、创建响应式 Getter
+    const finalProps = {};
+    const warnPropMismatch = (propName, reason) => {
+        console.warn(`Prop警告：[${parentComponentName}] 传给 <${componentName}> 的 Prop "${propName}" 无效：${reason}。`);
+    };
+
+    // 首先处理默认值和必需项
+    for (const propName in propSchema) {
+        const currentSchema = propSchema[propName]; // 【修复】使用一个新变量来存储当前 schema
+        if (providedPropNames.has(propName)) continue;
+        if (currentSchema.hasOwnProperty("default")) {
+            rawProps.static[propName] = getPropDefault(currentSchema);
+        } else if (currentSchema.required) {
+            console.warn(`Prop警告：[${parentComponentName}] 未向 <${componentName}> 传递必需的 Prop "${propName}"。`);
+        }
+    }
+
+    // 处理静态 Props (类型转换 + 校验)
+    for (const propName in rawProps.static) {
+        let value = rawProps.static[propName];
+        const schema = propSchema[propName];
+        // 只有来自 HTML 属性的字符串需要转换，默认值按原样使用
+        if (schema && schema.type && typeof value === "string") {
+            const typeDef = schema.type;
+            const types = Array.isArray(typeDef) ? typeDef : [typeDef];
+            let convertedValue;
+            let conversionSuccess = false;
+            for (const type of types) {
+                const converter = propTypeConverters[getPropTypeName(type)];
+                if (converter) {
+                    convertedValue = converter(value);
+                    if (convertedValue !== undefined) {
+                        conversionSuccess = true;
+                        break;
+                    }
+                } else {
+                    convertedValue = value;
+                    conversionSuccess = true;
+                    break;
+                }
+            }
+            if (conversionSuccess) value = convertedValue;
+            else console.error(`Prop错误：[${parentComponentName}] 传给 <${componentName}> 的 Prop "${propName}" 的值 "${value}" 无法转换为指定的类型。`);
+        }
+        const reason = validatePropValue(value, schema);
+        if (reason) warnPropMismatch(propName, reason);
+        finalProps[propName] = value;
+    }
+
+    // 处理动态 Props (创建响应式 Getter)
+    for (const propName in rawProps.dynamic) {
+        const expression = rawProps.dynamic[propName];
+        const schema = propSchema[propName];
+        let lastWarning = null;
+        // 默认值工厂每个实例只调用一次，表达式多次求值为 undefined 时返回同一个默认值 (对象默认值不会每次读取都换新)
+        let defaultValue;
+        let hasDefaultValue = false;
+        Object.defineProperty(finalProps, propName, {
+            get() {
+                // 当访问 props.myProp 时，执行此 getter
+                // 它会在父作用域中对表达式求值，并自动解包 Signal
+                let value = window.NueDirectives.evaluateExpression(expression, scope, true);
+                if (!schema) return value;
+                if (value === undefined && schema.hasOwnProperty("default")) {
+                    if (!hasDefaultValue) {
+                        defaultValue = getPropDefault(schema);
+                        hasDefaultValue = true;
+                    }
+                    value = defaultValue;
+                }
+                // 同一个错误只提示一次，避免每次读取都刷屏
+                const reason = validatePropValue(value, schema);
+                if (reason && reason !== lastWarning) warnPropMismatch(propName, `${reason} (表达式 "${expression}")`);
+                lastWarning = reason;
+                return value;
+            },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    return { props: finalProps, events, attributesToRemove };
+}
+
+/**
+ * 【已重构】统一的 emit 函数创建器。
+ * @param {object} eventHandlers - 由 parseAndProcessProps 创建的事件处理器映射。
+ * @param {string} componentName - 子组件的名称。
+ * @returns {Function} emit 函数。
+ */
+function createEmitFunction(eventHandlers, componentName = "子组件") {
+    return function emit(eventName, payload) {
+        const handler = eventHandlers[eventName];
+        if (typeof handler === "function") {
+            try {
+                // 直接调用已经绑定好上下文的函数
+                batch(() => handler(payload));
+            } catch (error) {
+                handleError(error, { type: "handler", component: componentName, message: `核心错误：执行 ${componentName} 的事件 "${eventName}" 处理器时出错:` }, handler.errorChain || null);
+            }
+        }
+    };
+}
+
+// ===================================================================
+// 生命周期钩子：onMounted / onBeforeUnmount / onUnmounted / onUpdated，以及 <keep-alive> 中的 onActivated / onDeactivated
+// 可在组件脚本中多次调用；NJS 中的辅助函数调用时注册到正在设置的组件上
+// ===================================================================
+const LIFECYCLE_HOOK_STAGES = { onMounted: "mounted", onBeforeUnmount: "beforeUnmount", onUnmounted: "unmounted", onUpdated: "updated", onActivated: "activated", onDeactivated: "deactivated" };
+// createLifecycleHooks 创建的注册函数；组件把它们原样放进作用域时不能当作旧式钩子调用
+const _lifecycleRegistrationFunctions = new WeakSet();
+// 正在执行脚本 (同步阶段，或 await 之后经实例绑定的函数重新进入) 或正在调用其导入的 NJS 函数的组件实例上下文
+let _currentSetupInstance = null;
+const _pendingUpdatedInstances = new Set();
+
+/**
+ * 创建一组生命周期注册函数。
+ * @param {Function} getInstance - 返回要注册到的组件实例上下文；组件脚本中固定为自身，NJS 中为当前正在设置的组件。
+ * @returns {{onMounted: Function, onBeforeUnmount: Function, onUnmounted: Function, onUpdated: Function, onActivated: Function, onDeactivated: Function}}
+ */
+function createLifecycleHooks(getInstance) {
+    const hooks = {};
+    Object.keys(LIFECYCLE_HOOK_STAGES).forEach((hookName) => {
+        hooks[hookName] = (fn) => {
+            const instance = getInstance();
+            if (typeof fn !== "function") {
+                console.warn(`核心警告：${hookName}() 需要一个函数，已忽略。`);
+                return;
+            }
+            if (!instance) {
+                console.warn(`核心警告：${hookName}() 只能在组件脚本执行期间调用 (NJS 中的辅助函数需由组件脚本调用)，已忽略。`);
+                return;
+            }
+            if (!instance.hooks) instance.hooks = { mounted: [], beforeUnmount: [], unmounted: [], updated: [], activated: [], deactivated: [] };
+            instance.hooks[LIFECYCLE_HOOK_STAGES[hookName]].push(fn);
+        };
+        _lifecycleRegistrationFunctions.add(hooks[hookName]);
+    });
+    return hooks;
+}
+
+const _setupInstanceLifecycleHooks = createLifecycleHooks(() => _currentSetupInstance);
+
+function _runInSetupInstance(instance, fn) {
+    const previousInstance = _currentSetupInstance;
+    const previousRecorder = _hmrSignalRecorder;
+    const previousCleanupList = _currentEffectCleanupList;
+    _currentSetupInstance = instance;
+    _hmrSignalRecorder = instance ? instance.signalRecorder || null : null;
+    // 并发挂载的组件会轮流改写 _currentEffectCleanupList，进入实例时换成它自己的列表
+    if (instance && instance.effectCleanupList) _currentEffectCleanupList = instance.effectCleanupList;
+    try {
+        return _runWithErrorChain(instance, fn);
+    } finally {
+        _currentSetupInstance = previousInstance;
+        _hmrSignalRecorder = previousRecorder;
+        _currentEffectCleanupList = previousCleanupList;
+    }
+}
+
+/**
+ * 依次调用实例在某个阶段注册的钩子，错误交给实例的错误处理链。
+ * @returns {Promise<void>} 异步钩子 (如 onMounted 中的 await) 全部完成后 resolve。
+ */
+function _runLifecycleHooks(instance, stage) {
+    const hooks = instance.hooks ? instance.hooks[stage] : null;
+    if (!hooks || hooks.length === 0) return Promise.resolve();
+    const hookName = Object.keys(LIFECYCLE_HOOK_STAGES).find((name) => LIFECYCLE_HOOK_STAGES[name] === stage);
+    const report = (error) => handleError(error, { type: "hook", component: instance.label, message: `核心错误：[${instance.label}] 执行 ${hookName} 钩子时出错:` }, instance);
+    const pending = [];
+    hooks.slice().forEach((hook) => {
+        try {
+            const result = _runWithErrorChain(instance, hook);
+            if (result && typeof result.then === "function") pending.push(Promise.resolve(result).catch(report));
+        } catch (error) {
+            report(error);
+        }
+    });
+    return Promise.all(pending);
+}
+
+// 模板中的 effect 重新执行 (即组件 DOM 已更新) 后，在微任务中调用一次所属组件的 onUpdated
+function _queueUpdatedHooks(effect) {
+    const instance = effect.owner;
+    if (effect.isScriptEffect || !instance || !instance.isMounted || !instance.hooks || instance.hooks.updated.length === 0) return;
+    if (_pendingUpdatedInstances.size === 0) queueMicrotask(_flushUpdatedHooks);
+    _pendingUpdatedInstances.add(instance);
+}
+
+function _flushUpdatedHooks() {
+    const instances = Array.from(_pendingUpdatedInstances);
+    _pendingUpdatedInstances.clear();
+    instances.forEach((instance) => instance.isMounted && _runLifecycleHooks(instance, "updated"));
+}
+
+/**
+ * 组件通过 importNjs 得到的模块：调用其中的函数时把该组件设为当前实例，
+ * 这样组件脚本在 await importNjs(...) 之后调用的辅助函数也能把钩子注册到正确的组件上。
+ */
+function _bindNjsModuleToInstance(njsModule, instance) {
+    if (!instance || !njsModule || (typeof njsModule !== "object" && typeof njsModule !== "function")) return njsModule;
+    const wrappers = new WeakMap();
+    const wrap = (fn) => {
+        if (fn.__is_signal__) return fn;
+        if (!wrappers.has(fn)) {
+            wrappers.set(fn, new Proxy(fn, { apply: (target, thisArg, args) => _runInSetupInstance(instance, () => Reflect.apply(target, thisArg, args)) }));
+        }
+        return wrappers.get(fn);
+    };
+    if (typeof njsModule === "function") return wrap(njsModule);
+    return new Proxy(njsModule, {
+        get(target, key, receiver) {
+            const value = Reflect.get(target, key, receiver);
+            if (typeof value !== "function") return value;
+            // 不可配置且只读的属性必须原样返回 (Proxy 的约束)
+            const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+            if (descriptor && !descriptor.configurable && !descriptor.writable) return value;
+            return wrap(value);
+        },
+    });
+}
+
+/**
+ * 创建组件脚本中的 provide / inject。
+ * 提供的值保存在组件的实例上下文 (错误处理节点) 上，inject 沿错误处理链向上查找最近的提供者：
+ * 插槽内容的链从它在模板中所在的组件开始，因此看到的是自己的"词法父组件"。
+ * 提供的是 Signal 时注入方拿到同一个 Signal，模板中自动解包，读写都是响应式的。
+ * @param {object|null} instance - 组件的实例上下文。
+ * @param {string} componentName - 组件名，用于日志。
+ * @returns {{provide: Function, inject: Function}}
+ */
+function createProvideInject(instance, componentName = "组件") {
+    const context = instance || { parent: null };
+    function provide(key, value) {
+        if (!context.provides) context.provides = new Map();
+        context.provides.set(key, value);
+        return value;
+    }
+    function inject(key, defaultValue) {
+        // 从父级开始查找，组件不会注入到自己提供的值
+        for (let node = context.parent; node; node = node.parent) {
+            if (node.provides && node.provides.has(key)) return node.provides.get(key);
+        }
+        if (arguments.length < 2) {
+            console.warn(`核心警告：[${componentName}] inject(${String(key)}) 没有找到提供者，也没有默认值。`);
+        }
+        return defaultValue;
+    }
+    return { provide, inject };
+}
+
+async function executeScript(scriptContent, initialProps = {}, emit = () => {}, componentOriginalUrl, hotRecord = null, instance = null) {
+    if (!scriptContent.trim()) {
+        return { refs: {} };
+    }
+    try {
+        const boundImportNjsForNue = (relativePath) => {
+            return _loadAndExecuteNjsModule(relativePath, componentOriginalUrl).then((njsModule) => _bindNjsModuleToInstance(njsModule, instance));
+        };
+        const { provide, inject } = createProvideInject(instance, instance ? instance.label : undefined);
+        // 组件脚本中的注册函数固定作用于本组件，await 之后调用也不受影响
+        const { onMounted, onBeforeUnmount, onUnmounted, onUpdated, onActivated, onDeactivated } = createLifecycleHooks(() => instance);
+        // 同理，await 之后创建的 Signal、计算 Signal 和 watch 也归属于本组件：Signal 按创建顺序记录，
+        // 计算 Signal 和 watch 随本组件卸载，watch 使用本组件的错误处理链
+        const bindToInstance = (fn) => (instance ? (...args) => _runInSetupInstance(instance, () => fn(...args)) : fn);
+        const scriptArgNames = ["createSignal", "createComputed", "createStore", "snapshot", "reconcile", "createWatch", "batch", "nextTick", "props", "emit", "importNjs", "$t", "setLocale", "getLocale", "$route", "$router", "provide", "inject", "onMounted", "onBeforeUnmount", "onUnmounted", "onUpdated", "onActivated", "onDeactivated"];
+        const scriptArgValues = [bindToInstance(createSignal), bindToInstance(createComputed), bindToInstance(createStore), snapshot, reconcile, bindToInstance(createWatch), batch, nextTick, initialProps, emit, boundImportNjsForNue, t, setLocale, getLocale, _currentRouteSignal, nueRouter, provide, inject, onMounted, onBeforeUnmount, onUnmounted, onUpdated, onActivated, onDeactivated];
+        let dynamicScriptName;
+        try {
+            const urlObj = new URL(componentOriginalUrl);
+            dynamicScriptName = `${urlObj.pathname}.temp.js`;
+        } catch (e) {
+            dynamicScriptName = `${componentOriginalUrl.replace(/[?#].*$/, "")}.temp.js`;
+        }
+        dynamicScriptName = encodeURI(dynamicScriptName);
+        let scriptFunction;
+        if (NueCoreConfig.csp) {
+            const compiledScript = _getCompiledScriptFunction(componentOriginalUrl, "script");
+            scriptFunction = (...values) => compiledScript(scriptArgNames.reduce((args, name, index) => ((args[name] = values[index]), args), Object.create(null)));
+        } else {
+            const wrappedScriptContent = `return (async () => { \n${scriptContent}\n })(); \n//# sourceURL=${dynamicScriptName}`;
+            scriptFunction = new Function(...scriptArgNames, wrappedScriptContent);
+        }
+        // 记录整个脚本执行期间 (直到返回作用域) 创建的 Signal；之后在事件处理器等位置创建的不再记录
+        if (instance) instance.signalRecorder = hotRecord ? _createHotSignalRecorder(hotRecord) : null;
+        let componentScope;
+        try {
+            componentScope = await _runInSetupInstance(instance, () => scriptFunction(...scriptArgValues));
+        } finally {
+            if (instance) instance.signalRecorder = null;
+        }
+        if (typeof componentScope === "object" && componentScope !== null) {
+            if (!componentScope.refs) {
+                componentScope.refs = {};
+            }
+            return componentScope;
+        } else {
+            console.warn(`核心警告：组件 ${componentOriginalUrl} 的脚本未返回一个对象。将创建一个空作用域。`);
+            return { refs: {} };
+        }
+    } catch (error) {
+        throw error;
+    }
+}
+
+/**
+ * 收集 <slot> 元素上传给插槽内容的 slot props：:name="表达式" 按子组件作用域求值，普通属性按字符串传递。
+ * 取值时才求值，插槽内容中的绑定会随子组件的数据 (包括 n-for 的当前条目) 更新。
+ * @param {Element} slotElement - 子组件模板中的 <slot> 元素。
+ * @param {object} scope - <slot> 所在的子组件作用域。
+ * @param {object} directiveHandlers - 指令处理器。
+ * @returns {object} 以 camelCase 属性名为键、带 getter 的对象。
+ */
+function _createSlotProps(slotElement, scope, directiveHandlers) {
+    const slotProps = {};
+    Array.from(slotElement.attributes).forEach((attr) => {
+        if (attr.name === "name") return;
+        const isDynamic = attr.name.startsWith(":");
+        const propName = (isDynamic ? attr.name.substring(1) : attr.name).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+        const attrValue = attr.value;
+        Object.defineProperty(slotProps, propName, { get: isDynamic ? () => directiveHandlers.evaluateExpression(attrValue, scope) : () => attrValue, enumerable: true });
+    });
+    return slotProps;
+}
+
+/**
+ * 按父组件 <template slot-props="..."> 的声明创建插槽内容的作用域，与 n-for 的条目作用域一样以 Object.create 叠加在父作用域之上。
+ * slot-props 可以是一个变量名 (接收全部 slot props)，或解构形式 "{ message, index: i }"。
+ */
+function _createSlotScope(parentScope, pattern, slotProps, componentName) {
+    const slotScope = Object.create(parentScope);
+    const define = (name, get) => Object.defineProperty(slotScope, name, { get, enumerable: true, configurable: true });
+    const trimmed = pattern.trim();
+    if (/^[A-Za-z_$][\w$]*$/.test(trimmed)) {
+        define(trimmed, () => slotProps);
+        return slotScope;
+    }
+    const match = trimmed.match(/^\{([\s\S]*)\}$/);
+    if (!match) {
+        console.warn(`核心警告：[${componentName}] 无法识别的 slot-props="${pattern}"，应为变量名或 { name, name: alias } 形式。`);
+        return slotScope;
+    }
+    match[1]
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .forEach((part) => {
+            const binding = part.match(/^([A-Za-z_$][\w$]*)(?:\s*:\s*([A-Za-z_$][\w$]*))?$/);
+            if (!binding) {
+                console.warn(`核心警告：[${componentName}] slot-props 中无法识别的绑定 "${part}"，只支持 name 或 name: alias。`);
+                return;
+            }
+            define(binding[2] || binding[1], () => slotProps[binding[1]]);
+        });
+    return slotScope;
+}
+
+/**
+ * 挂载模板中的一个 Nue 子组件：按子组件的 Prop 模式解析元素上的属性和事件，收集插槽内容，再替换为占位符并挂载。
+ * @param {Element} element - 模板中的组件元素。
+ * @param {string} rawComponentPath - 组件文件路径，相对于当前上下文。
+ * @param {string} componentName - 组件名，用于日志和实例标识。
+ * @param {object} scope - 父组件作用域。
+ * @param {string} parentComponentName - 父组件名。
+ * @param {string} currentContextOriginalUrl - 解析相对路径的基准 URL。
+ * @param {object} [options] - 可选参数。
+ * @param {Comment} [options.mountPoint] - 已在文档中的挂载点；提供时直接挂载到这里，元素本身不必在文档中。
+ * @param {*} [options.key] - 已求值的 key (由 <component :is> 传入)；提供时不再从元素上读取 :key / key。
+ * @returns {Promise<void>}
+ */
+async function mountNueChildComponent(element, rawComponentPath, componentName, scope, parentComponentName, currentContextOriginalUrl, options = {}) {
+    const mountPoint = options.mountPoint || null;
+    // 实例路径必须在第一个 await 之前按模板顺序预留，否则取决于各组件文件加载完成的先后
+    const instanceKey = _reserveInstanceKey(scope, componentName);
+    const hydrateRange = _takeHydrationRange(element);
+    // <keep-alive> 中的组件按 key 分别缓存，key 不作为 Prop 传递
+    let keepAliveKey;
+    if ("key" in options) {
+        if (scope[KEEP_ALIVE_KEY]) keepAliveKey = options.key;
+    } else if (scope[KEEP_ALIVE_KEY]) {
+        const keyExpression = element.getAttribute(":key");
+        if (keyExpression !== null) keepAliveKey = window.NueDirectives.evaluateExpression(keyExpression, scope);
+        else if (element.hasAttribute("key")) keepAliveKey = element.getAttribute("key");
+        element.removeAttribute(":key");
+        element.removeAttribute("key");
+    }
+    const { versionedUrl: childVersionedUrl, originalUrl: childOriginalUrl } = getVersionedAndOriginalUrls(rawComponentPath, currentContextOriginalUrl);
+
+    // 先取得子组件声明的 Prop 模式，再解析传入的属性；加载失败时交给 mountComponent 报告
+    let propSchema = {};
+    try {
+        const childEntry = await loadComponentEntry(childVersionedUrl, childOriginalUrl);
+        propSchema = resolvePropSchema(childEntry.structure, childOriginalUrl);
+    } catch (error) {
+        propSchema = {};
+    }
+    const { props, events, attributesToRemove } = parseAndProcessProps(element, scope, propSchema, componentName, parentComponentName);
+    attributesToRemove.forEach((attrName) => element.removeAttribute(attrName));
+
+    const slotsDataForChild = {};
+    const slotContentContainer = document.createDocumentFragment();
+    Array.from(element.childNodes).forEach((cn) => slotContentContainer.appendChild(cn));
+    const rawSlotContents = { default: [] };
+    const slotPropsPatterns = {};
+    Array.from(slotContentContainer.childNodes).forEach((childNode) => {
+        if (childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template") {
+            if (childNode.hasAttribute("slot-props")) {
+                slotPropsPatterns[(childNode.getAttribute("slot") || "").trim() || "default"] = childNode.getAttribute("slot-props");
+            }
+            if (childNode.hasAttribute("slot")) {
+                let slotNameAttr = (childNode.getAttribute("slot") || "").trim() || "default";
+                if (!rawSlotContents[slotNameAttr]) rawSlotContents[slotNameAttr] = [];
+                const templateContent = childNode.content;
+                if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents[slotNameAttr].push(c.cloneNode(true)));
+            } else {
+                const templateContent = childNode.content;
+                if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents.default.push(c.cloneNode(true)));
+            }
+        } else if (!(childNode.nodeType === Node.TEXT_NODE && childNode.nodeValue.trim() === "")) {
+            rawSlotContents.default.push(childNode.cloneNode(true));
+        }
+    });
+    for (const sName in rawSlotContents) {
+        if (rawSlotContents[sName].length > 0) {
+            slotsDataForChild[sName] = { nodes: rawSlotContents[sName], parentScope: scope, parentContextOriginalUrl: currentContextOriginalUrl, slotPropsPattern: slotPropsPatterns[sName] || null };
+        }
+    }
+
+    let placeholder = mountPoint;
+    if (placeholder && !placeholder.parentNode) {
+        // 加载期间挂载点已被移除 (如 <component :is> 的值再次变化)，放弃这次挂载
+        return;
+    }
+    if (!placeholder) {
+        placeholder = document.createComment(`component-placeholder: ${componentName}`);
+        if (!element.parentNode) {
+            console.error(`核心错误：[${parentComponentName}] 子组件 <${componentName}> 在替换为占位符前已无父节点。`);
+            return;
+        }
+        element.parentNode.replaceChild(placeholder, element);
+    }
+
+    await mountComponent(childVersionedUrl, placeholder, props, events, componentName, slotsDataForChild, childOriginalUrl, { parentScope: scope, keepAliveKey, instanceKey, hydrateRange });
+    if (hydrateRange) _removeHydrationMarkers(hydrateRange);
+}
+
+// 由核心直接实现的内置组件：标签名 -> (element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) => Promise
+const builtInComponents = {
+    "router-view": handleRouterView,
+    "error-boundary": handleErrorBoundary,
+    suspense: handleSuspense,
+    component: handleDynamicComponent,
+    "keep-alive": handleKeepAlive,
+};
+// 标签名清单在 nono-parser.js 中，构建脚本据此跳过内置组件；两边不一致时立即报告
+if (typeof NUE_BUILT_IN_COMPONENT_TAGS !== "undefined") {
+    const mismatchedTags = NUE_BUILT_IN_COMPONENT_TAGS.filter((tag) => !builtInComponents[tag]).concat(Object.keys(builtInComponents).filter((tag) => !NUE_BUILT_IN_COMPONENT_TAGS.includes(tag)));
+    if (mismatchedTags.length > 0) {
+        console.error(`核心错误：内置组件 ${mismatchedTags.join("、")} 在 nono-core.js 的 builtInComponents 与 nono-parser.js 的 NUE_BUILT_IN_COMPONENT_TAGS 中不一致。`);
+    }
+}
+
+/**
+ * 把内置组件的子节点按 <template slot="xxx"> 拆分，其余节点归入 default。返回的都是克隆节点。
+ * @param {Element} element - 内置组件元素。
+ * @param {string[]} slotNames - 需要识别的具名插槽。
+ * @returns {object} { default: Node[], [slotName]: Node[] }
+ */
+function _splitBuiltInSlots(element, slotNames) {
+    const result = { default: [] };
+    slotNames.forEach((name) => (result[name] = []));
+    Array.from(element.childNodes).forEach((childNode) => {
+        const slotName = childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template" ? (childNode.getAttribute("slot") || "").trim() : "";
+        if (slotName && result[slotName]) {
+            Array.from(childNode.content.childNodes).forEach((c) => result[slotName].push(c.cloneNode(true)));
+        } else {
+            result.default.push(childNode.cloneNode(true));
+        }
+    });
+    return result;
+}
+
+/**
+ * <suspense> 内置组件：内容 (含子组件脚本中的 await) 在脱离文档的容器中编译，全部完成后一次性插入；
+ * 等待期间显示 fallback 插槽，失败或超时显示 error 插槽。所在的父组件不会等待内容加载完成。
+ * 用法：
+ *   <suspense delay="200" timeout="10000" @resolve="onReady()">
+ *       <chat-history src="history.nue"></chat-history>
+ *       <template slot="fallback"><p>加载中…</p></template>
+ *       <template slot="error"><p>{{ error.message }}</p><button @click="retry()">重试</button></template>
+ *   </suspense>
+ * delay: 等待多少毫秒后才显示 fallback，快速完成的加载不会闪现占位内容；默认 0。
+ * timeout: 超过多少毫秒仍未完成则视为失败；默认不限制。
+ * error 插槽中可使用 error、errorInfo 和 retry()。没有 error 插槽时错误继续交给外层处理。
+ * 内容中组件的 onMount / onMounted 推迟到内容插入文档之后，按挂载完成的顺序 (子组件先于父组件) 执行，
+ * 可以在其中测量布局或滚动元素。
+ */
+async function handleSuspense(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const suspenseName = `${parentComponentName} > suspense`;
+    const slots = _splitBuiltInSlots(element, ["fallback", "error"]);
+    const delay = Math.max(0, parseInt(element.getAttribute("delay"), 10) || 0);
+    const timeout = Math.max(0, parseInt(element.getAttribute("timeout"), 10) || 0);
+    const resolveExpression = element.getAttribute("@resolve");
+    const startAnchor = document.createComment("suspense");
+    const endAnchor = document.createComment("/suspense");
+    if (!element.parentNode) return;
+    element.parentNode.insertBefore(startAnchor, element);
+    element.parentNode.replaceChild(endAnchor, element);
+
+    let attempt = 0;
+    // 延迟显示的 fallback、error 插槽和 retry() 都在所在组件挂载完成之后才编译，
+    // 那时 _currentEffectCleanupList 已属于别的组件或为空。每次渲染的 effect 收集到自己的列表，
+    // 内容被替换或丢弃时停止；所在组件卸载时由它的列表停止当前显示的那一份
+    let rangeCleanupList = [];
+    const stopEffects = (list) => list.splice(0).forEach((stopFn) => stopFn());
+    if (Array.isArray(_currentEffectCleanupList)) _currentEffectCleanupList.push(() => stopEffects(rangeCleanupList));
+    const compileWithCleanupList = (cleanupList, node, nodeScope, label) => {
+        const previousCleanupList = _currentEffectCleanupList;
+        _currentEffectCleanupList = cleanupList;
+        try {
+            return compileNode(node, nodeScope, directiveHandlers, label, currentContextOriginalUrl);
+        } finally {
+            _currentEffectCleanupList = previousCleanupList;
+        }
+    };
+    const clearRange = () => {
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+        stopEffects(rangeCleanupList);
+    };
+    const renderSlot = (templateNodes, extras, label) => {
+        clearRange();
+        if (!endAnchor.parentNode || templateNodes.length === 0) return;
+        const slotScope = Object.create(scope);
+        Object.assign(slotScope, extras);
+        const nodes = templateNodes.map((n) => n.cloneNode(true));
+        nodes.forEach((n) => endAnchor.parentNode.insertBefore(n, endAnchor));
+        nodes.forEach((n) => compileWithCleanupList(rangeCleanupList, n, slotScope, label));
+    };
+
+    const load = () => {
+        const token = ++attempt;
+        let settled = false;
+        const timers = [];
+        const container = document.createElement("div");
+        const contentScope = Object.create(scope);
+        const finish = () => {
+            settled = true;
+            timers.forEach((id) => clearTimeout(id));
+        };
+        const fail = (error, info) => {
+            finish();
+            if (slots.error.length === 0) {
+                clearRange();
+                return false;
+            }
+            renderSlot(slots.error, { error, errorInfo: info, retry: load }, `${suspenseName} (error)`);
+            return true;
+        };
+        const suspenseNode = {
+            label: suspenseName,
+            parent: scope[ERROR_SCOPE_KEY] || null,
+            // 只处理等待期间的错误，内容显示之后的错误照常向外传播
+            handler: (error, info) => (settled || token !== attempt ? false : fail(error, info)),
+            // 内容插入文档之前挂载完成的组件的挂载钩子 (见 mountComponent)；插入后置为 null
+            pendingMountHooks: [],
+        };
+        contentScope[ERROR_SCOPE_KEY] = suspenseNode;
+        if (delay > 0) {
+            timers.push(setTimeout(() => !settled && renderSlot(slots.fallback, {}, `${suspenseName} (fallback)`), delay));
+        } else {
+            renderSlot(slots.fallback, {}, `${suspenseName} (fallback)`);
+        }
+        if (timeout > 0) {
+            timers.push(
+                setTimeout(() => {
+                    if (settled || token !== attempt) return;
+                    const error = new Error(`<suspense> 内容在 ${timeout}ms 内未完成加载`);
+                    error.name = "TimeoutError";
+                    const info = { type: "timeout", component: parentComponentName, message: `核心错误：[${suspenseName}] 加载超时:` };
+                    if (!fail(error, info)) handleError(error, info, scope[ERROR_SCOPE_KEY]);
+                }, timeout)
+            );
+        }
+
+        const nodes = slots.default.map((n) => n.cloneNode(true));
+        const contentCleanupList = [];
+        nodes.forEach((n) => container.appendChild(n));
+        const discard = () => {
+            Array.from(container.childNodes).forEach((n) => cleanupAndRemoveNode(n));
+            stopEffects(contentCleanupList);
+        };
+        Promise.all(nodes.map((n) => compileWithCleanupList(contentCleanupList, n, contentScope, suspenseName)))
+            .then(async () => {
+                if (settled || token !== attempt || !endAnchor.parentNode) {
+                    // 已失败、已重试或 <suspense> 本身已被移除：丢弃这次的渲染结果
+                    discard();
+                    return;
+                }
+                finish();
+                clearRange();
+                rangeCleanupList = contentCleanupList;
+                Array.from(container.childNodes).forEach((n) => endAnchor.parentNode.insertBefore(n, endAnchor));
+                const mountHooks = suspenseNode.pendingMountHooks;
+                suspenseNode.pendingMountHooks = null;
+                // 外层还有等待中的 <suspense> 时，内容仍不在文档中，钩子交给外层
+                const outerSuspense = _findPendingSuspense(suspenseNode.parent);
+                if (outerSuspense) {
+                    outerSuspense.pendingMountHooks.push(...mountHooks);
+                } else {
+                    for (const runMountHooks of mountHooks) await runMountHooks();
+                }
+                if (resolveExpression) {
+                    directiveHandlers.evaluateExpression(resolveExpression, Object.create(scope), false);
+                }
+            })
+            .catch((error) => {
+                if (token !== attempt) return;
+                const info = { type: "render", component: parentComponentName, message: `核心错误：[${suspenseName}] 渲染内容时出错:` };
+                if (settled) {
+                    handleError(error, info, scope[ERROR_SCOPE_KEY]);
+                    return;
+                }
+                discard();
+                if (!fail(error, info)) handleError(error, info, scope[ERROR_SCOPE_KEY]);
+            });
+    };
+    load();
+}
+
+// 沿错误处理链找到内容尚未插入文档的 <suspense>
+function _findPendingSuspense(errorChain) {
+    let node = errorChain;
+    while (node && !node.pendingMountHooks) node = node.parent;
+    return node || null;
+}
+
+/**
+ * <error-boundary> 内置组件：捕获内容中的渲染、effect、事件处理和子组件挂载错误，改为渲染 fallback。
+ * 用法：
+ *   <error-boundary @error="report($event.error)">
+ *       <chat-panel></chat-panel>
+ *       <template slot="fallback"><p>{{ error.message }}</p><button @click="reset()">重试</button></template>
+ *   </error-boundary>
+ * fallback 中可使用 error、errorInfo 和 reset()；reset() 会重新挂载全部内容。
+ */
+async function handleErrorBoundary(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const boundaryName = `${parentComponentName} > error-boundary`;
+    const { default: contentNodes, fallback: fallbackNodes } = _splitBuiltInSlots(element, ["fallback"]);
+    const errorHandlerExpression = element.getAttribute("@error");
+    const startAnchor = document.createComment("error-boundary");
+    const endAnchor = document.createComment("/error-boundary");
+    if (!element.parentNode) return;
+    element.parentNode.insertBefore(startAnchor, element);
+    element.parentNode.replaceChild(endAnchor, element);
+
+    let currentError = null;
+    const clearRange = () => {
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+    };
+    const renderNodes = (templateNodes, renderScope, label) => {
+        clearRange();
+        if (!endAnchor.parentNode) return Promise.resolve();
+        const nodes = templateNodes.map((n) => n.cloneNode(true));
+        nodes.forEach((n) => endAnchor.parentNode.insertBefore(n, endAnchor));
+        return Promise.all(nodes.map((n) => compileNode(n, renderScope, directiveHandlers, label, currentContextOriginalUrl)));
+    };
+    const reset = () => {
+        currentError = null;
+        return renderNodes(contentNodes, boundaryScope, boundaryName);
+    };
+    const showFallback = (error, info) => {
+        const fallbackScope = Object.create(scope);
+        fallbackScope.error = error;
+        fallbackScope.errorInfo = info;
+        fallbackScope.reset = reset;
+        renderNodes(fallbackNodes, fallbackScope, `${boundaryName} (fallback)`);
+    };
+    const boundaryScope = Object.create(scope);
+    boundaryScope[ERROR_SCOPE_KEY] = {
+        label: boundaryName,
+        parent: scope[ERROR_SCOPE_KEY] || null,
+        handler: (error, info) => {
+            if (errorHandlerExpression) {
+                const executionContext = Object.create(scope);
+                executionContext.$event = { error, info };
+                directiveHandlers.evaluateExpression(errorHandlerExpression, executionContext, false);
+            }
+            if (currentError) return true;
+            currentError = error;
+            // 错误可能发生在内容编译途中，推迟到微任务再替换 DOM
+            queueMicrotask(() => {
+                if (currentError === error) showFallback(error, info);
+            });
+            return true;
+        },
+    };
+    await reset();
+}
+
+/**
+ * <component :is> 内置组件：渲染表达式返回的 .nue 组件，值变化时卸载旧实例并挂载新组件。
+ * 用法：
+ *   <component :is="message.type === 'code' ? 'code-block.nue' : 'text-block.nue'" :message="message" @copy="onCopy($event)">
+ *       <template slot="footer">…</template>
+ *   </component>
+ * 路径相对于当前组件解析，不含 .nue 后缀的值按组件标签名处理 (text-block -> text-block.nue)；值为空时不渲染任何内容。
+ * 其余属性、事件、n-model 和插槽原样传给每一个被挂载的组件。也可以用静态的 is="..."。
+ * :key 的值变化时也会卸载并重新挂载，在 <keep-alive> 中则按 key 分别缓存实例。
+ */
+async function handleDynamicComponent(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const isExpression = element.getAttribute(":is");
+    const staticIs = element.getAttribute("is");
+    const keyExpression = element.getAttribute(":key");
+    const staticKey = element.getAttribute("key");
+    // key 只用于决定何时重新挂载，不能留在元素上作为 Prop 传给挂载的组件
+    element.removeAttribute(":is");
+    element.removeAttribute("is");
+    element.removeAttribute(":key");
+    element.removeAttribute("key");
+    const startAnchor = document.createComment("component");
+    const endAnchor = document.createComment("/component");
+    if (!element.parentNode) return;
+    element.parentNode.insertBefore(startAnchor, element);
+    element.parentNode.replaceChild(endAnchor, element);
+    if (isExpression === null && staticIs === null) {
+        console.warn(`核心警告：[${parentComponentName}] <component> 缺少 :is 属性，不会渲染任何内容。`);
+        return;
+    }
+
+    let currentPath;
+    let currentKey;
+    let firstMount = null;
+    const clearView = () => {
+        while (startAnchor.nextSibling && startAnchor.nextSibling !== endAnchor) {
+            cleanupAndRemoveNode(startAnchor.nextSibling);
+        }
+    };
+    createEffect(() => {
+        const value = isExpression !== null ? directiveHandlers.evaluateExpression(isExpression, scope) : staticIs;
+        const componentPath = typeof value === "string" ? value.trim() : "";
+        if (value && typeof value !== "string") {
+            console.warn(`核心警告：[${parentComponentName}] <component :is="${isExpression}"> 的值应为 .nue 文件路径，实际为:`, value);
         }
-    },
-};
+        // :key 变化时即使组件相同也重新挂载
+        const key = keyExpression !== null ? directiveHandlers.evaluateExpression(keyExpression, scope) : staticKey !== null ? staticKey : undefined;
+        if (componentPath === currentPath && key === currentKey) return;
+        currentPath = componentPath;
+        currentKey = key;
+        clearView();
+        if (!componentPath || !endAnchor.parentNode) return;
+        const rawComponentPath = /\.nue(?:[?#].*)?$/i.test(componentPath) ? componentPath : `${componentPath}.nue`;
+        const componentName = rawComponentPath.split(/[?#]/)[0].split("/").pop().replace(/\.nue$/i, "");
+        const mountPoint = document.createComment(`dynamic-component: ${rawComponentPath}`);
+        endAnchor.parentNode.insertBefore(mountPoint, endAnchor);
+        // 每次挂载都使用原始元素的克隆，属性和插槽按新组件的 Prop 模式重新解析
+        // 旧的挂载若仍在进行，其挂载点已被 clearView 移除，mountComponent 会自行丢弃渲染结果
+        // 每一次挂载都要处理失败，而不仅是下面等待的首次挂载
+        const mountPromise = mountNueChildComponent(element.cloneNode(true), rawComponentPath, componentName, scope, parentComponentName, currentContextOriginalUrl, { mountPoint, key }).catch((error) => {
+            console.error(`核心错误：[${parentComponentName}] <component> 挂载 ${rawComponentPath} 失败:`, error);
+        });
+        if (!firstMount) firstMount = mountPromise;
+    });
+    await firstMount;
+}
 
 // ===================================================================
-// 【核心重构】统一的属性和事件处理
+// <keep-alive>：缓存被切换掉的组件实例，暂停其 effect，再次显示时原样放回
 // ===================================================================
-
-// nono-core.js
+// 作用域上保存所在 <keep-alive> 控制器的键
+const KEEP_ALIVE_KEY = Symbol("nue-keep-alive");
+// 缓存实例的每个顶层节点 -> 缓存条目 { controller, key, name, url, rootNode, nodes, errorNode, storage, active, destroying }
+const keptInstanceRegistry = new WeakMap();
+// 大于 0 时 cleanupAndRemoveNode 不再把实例放入缓存 (例如热重载替换实例时)
+let _keepAliveBypassDepth = 0;
 
 /**
- * 【已重构】统一的 Props 和 Events 解析与处理函数。
- * 此函数取代了旧的 processComponentProps 和 parseComponentProps。
- * @param {Element} element - 组件的 DOM 元素。
- * @param {object} scope - 父组件的作用域。
- * @param {object} propSchema - 组件定义的 Prop 模式 (可选)。
- * @param {string} componentName - 组件的名称，用于日志。
- * @returns {{ props: object, events: object, attributesToRemove: string[] }}
+ * <keep-alive> 内置组件：内容中的组件被 n-if、<component :is> 或 <router-view> 切换掉时不销毁，
+ * 而是连同 DOM 一起缓存并暂停其 effect；再次显示时原样放回，Signal 状态、输入内容和滚动位置都会保留。
+ * 用法：
+ *   <keep-alive include="chat-panel" max="10">
+ *       <component is="chat-panel.nue" :key="conversationId" :conversation-id="conversationId"></component>
+ *   </keep-alive>
+ *   <keep-alive>
+ *       <chat-panel n-if="tab === 'chat'"></chat-panel>
+ *       <history-pane n-else></history-pane>
+ *   </keep-alive>
+ * n-if 的分支按首尾注释之间的范围切换，被切换掉的组件整体进入缓存，切回时放回原位而不是重新挂载。
+ * include / exclude: 逗号分隔的组件名 (标签名、路由名或不含 .nue 的文件名)，也可以用 :include 绑定数组或正则表达式；默认缓存全部组件。
+ * max: 最多缓存的实例数，超出时销毁最久未使用的非活动实例；默认不限制。
+ * key: 同一个组件按 key 分别缓存，例如每个对话一个实例。
+ * 组件脚本中用 onActivated(fn) 注册的钩子在首次挂载和每次放回后调用，onDeactivated(fn) 在被缓存后调用，组件内的子组件同样会收到。
+ * 为了兼容，作用域上名为 onActivated / onDeactivated 的函数也会被调用。
+ * 只缓存直接位于 <keep-alive> 内容中的组件；<keep-alive> 本身被移除时销毁全部缓存。
  */
-function parseAndProcessProps(element, scope, propSchema = {}, componentName) {
-    const rawProps = { static: {}, dynamic: {} };
-    const events = {};
-    const attributesToRemove = [];
-    const providedPropNames = new Set();
-
-    // 步骤 1: 从元素上提取所有属性和事件
-    for (const attr of Array.from(element.attributes)) {
-        const attrName = attr.name;
-        const attrValue = attr.value;
-        let camelCasePropName;
+async function handleKeepAlive(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
+    const readPattern = (name) => {
+        const expression = element.getAttribute(`:${name}`);
+        if (expression !== null) return () => directiveHandlers.evaluateExpression(expression, scope);
+        const value = element.getAttribute(name);
+        return value === null ? null : () => value;
+    };
+    const controller = {
+        label: `${parentComponentName} > keep-alive`,
+        include: readPattern("include"),
+        exclude: readPattern("exclude"),
+        max: Math.max(0, parseInt(element.getAttribute("max"), 10) || 0),
+        cache: new Map(), // 缓存键 -> 条目，按最近使用排序
+        destroyed: false,
+    };
+    const contentNodes = Array.from(element.childNodes);
+    const startAnchor = document.createComment("keep-alive");
+    const endAnchor = document.createComment("/keep-alive");
+    if (!element.parentNode) return;
+    element.parentNode.insertBefore(startAnchor, element);
+    contentNodes.forEach((n) => element.parentNode.insertBefore(n, element));
+    element.parentNode.replaceChild(endAnchor, element);
+    // 起始锚点先于内容被清理：此时销毁缓存中的实例，仍在显示的实例随后照常销毁
+    componentCleanupRegistry.set(startAnchor, () => {
+        controller.destroyed = true;
+        Array.from(controller.cache.values()).forEach((entry) => !entry.active && _destroyKeptInstance(entry));
+        controller.cache.clear();
+    });
+    const contentScope = Object.create(scope);
+    contentScope[KEEP_ALIVE_KEY] = controller;
+    await Promise.all(contentNodes.map((n) => compileNode(n, contentScope, directiveHandlers, controller.label, currentContextOriginalUrl)));
+}
 
-        if (attrName.startsWith(":")) {
-            const rawPropName = attrName.substring(1);
-            camelCasePropName = kebabToCamel(rawPropName);
-            providedPropNames.add(camelCasePropName);
-            attributesToRemove.push(attrName);
-            rawProps.dynamic[camelCasePropName] = attrValue; // 存储表达式
-        } else if (attrName.startsWith("@")) {
-            const eventName = attrName.substring(1);
-            attributesToRemove.push(attrName);
-            // 【关键】创建绑定了正确上下文的可执行函数
-            events[eventName] = (payload) => {
-                const executionContext = Object.create(scope);
-                executionContext.$event = payload;
-                window.NueDirectives.evaluateExpression(attrValue, executionContext, false);
-            };
-        } else if (attrName !== "src" && attrName !== "ref" && attrName !== "n-show") {
-            camelCasePropName = kebabToCamel(attrName);
-            providedPropNames.add(camelCasePropName);
-            attributesToRemove.push(attrName);
-            rawProps.static[camelCasePropName] = attrValue;
-        }
+// 组件名或文件名是否符合 include / exclude；表达式在这里求值，不让正在执行的 effect 订阅它们
+function _keepAliveMatches(controller, componentName, originalUrl) {
+    const fileName = originalUrl.split(/[?#]/)[0].split("/").pop().replace(/\.nue$/i, "");
+    const previousEffect = currentEffect;
+    currentEffect = null;
+    try {
+        const test = (readPattern) => {
+            const pattern = readPattern();
+            if (pattern instanceof RegExp) return pattern.test(componentName) || pattern.test(fileName);
+            const names = Array.isArray(pattern) ? pattern : String(pattern === null || pattern === undefined ? "" : pattern).split(",");
+            return names.some((name) => {
+                const trimmed = String(name).trim();
+                return trimmed !== "" && (trimmed === componentName || trimmed === fileName);
+            });
+        };
+        if (controller.include && !test(controller.include)) return false;
+        if (controller.exclude && test(controller.exclude)) return false;
+        return true;
+    } finally {
+        currentEffect = previousEffect;
     }
+}
 
-    // 步骤 2: 根据 Schema 处理静态属性、创建响应式 Getter
-    const finalProps = {};
+function _getKeepAliveCacheKey(originalUrl, key) {
+    return key === undefined || key === null ? originalUrl : `${originalUrl}#${String(key)}`;
+}
 
-    // 首先处理默认值
-    for (const propName in propSchema) {
-        const currentSchema = propSchema[propName]; // 【修复】使用一个新变量来存储当前 schema
-        if (!providedPropNames.has(propName) && currentSchema.hasOwnProperty("default")) {
-            const defaultValue = typeof currentSchema.default === "function" ? currentSchema.default() : currentSchema.default;
-            rawProps.static[propName] = defaultValue;
-        }
+// 被缓存组件的插槽内容不再算作位于 <keep-alive> 中，其中的组件随所在实例一起缓存
+function _maskKeepAliveSlots(slotsData) {
+    const masked = {};
+    Object.keys(slotsData).forEach((name) => {
+        const parentScope = Object.create(slotsData[name].parentScope);
+        parentScope[KEEP_ALIVE_KEY] = null;
+        masked[name] = { ...slotsData[name], parentScope };
+    });
+    return masked;
+}
+
+// 最近的被 <keep-alive> 停用的组件实例上下文 (沿错误处理链向上查找)
+function _findDeactivatedOwner(owner) {
+    for (let node = owner; node; node = node.parent) {
+        if (node.deactivated) return node;
     }
+    return null;
+}
 
-    // 处理静态 Props (类型转换)
-    for (const propName in rawProps.static) {
-        let value = rawProps.static[propName];
-        const schema = propSchema[propName];
-        if (schema && schema.type) {
-            const typeDef = schema.type;
-            const types = Array.isArray(typeDef) ? typeDef : [typeDef];
-            let convertedValue;
-            let conversionSuccess = false;
-            for (const type of types) {
-                const converter = propTypeConverters[type.name || type];
-                if (converter) {
-                    convertedValue = converter(value);
-                    if (convertedValue !== undefined) {
-                        conversionSuccess = true;
-                        break;
-                    }
-                } else {
-                    convertedValue = value;
-                    conversionSuccess = true;
-                    break;
-                }
-            }
-            if (conversionSuccess) value = convertedValue;
-            else console.error(`Prop错误：[${componentName}] 的 Prop "${propName}" 的值 "${value}" 无法转换为指定的类型。`);
+function _registerKeptInstance(controller, key, entry) {
+    Object.assign(entry, { controller, key, storage: document.createDocumentFragment(), active: true, destroying: false, scrollPositions: null });
+    controller.cache.set(key, entry);
+    entry.nodes.forEach((n) => keptInstanceRegistry.set(n, entry));
+    _pruneKeepAliveCache(controller);
+    return entry;
+}
+
+/**
+ * cleanupAndRemoveNode 的拦截：缓存实例的节点被移除时改为停用实例。
+ * @returns {boolean} true 表示节点已被缓存，不应继续清理。
+ */
+function _keepAliveIntercept(node) {
+    const entry = keptInstanceRegistry.get(node);
+    if (!entry) return false;
+    const { controller } = entry;
+    if (!entry.destroying && !controller.destroyed && _keepAliveBypassDepth === 0) {
+        // 多根组件的其余根节点已随第一个被移除的根节点一起放入缓存
+        if (!entry.active) return true;
+        if (_keepAliveMatches(controller, entry.name, entry.url)) {
+            _deactivateKeptInstance(entry);
+            return true;
         }
-        finalProps[propName] = value;
     }
+    // 真正销毁：移出缓存，之后按普通组件清理
+    entry.nodes.forEach((n) => keptInstanceRegistry.delete(n));
+    if (controller.cache.get(entry.key) === entry) controller.cache.delete(entry.key);
+    return false;
+}
 
-    // 处理动态 Props (创建响应式 Getter)
-    for (const propName in rawProps.dynamic) {
-        const expression = rawProps.dynamic[propName];
-        Object.defineProperty(finalProps, propName, {
-            get() {
-                // 当访问 props.myProp 时，执行此 getter
-                // 它会在父作用域中对表达式求值，并自动解包 Signal
-                return window.NueDirectives.evaluateExpression(expression, scope, true);
-            },
-            enumerable: true,
-            configurable: true,
+function _deactivateKeptInstance(entry) {
+    entry.active = false;
+    entry.errorNode.deactivated = true;
+    entry.errorNode.deferredEffects = new Set();
+    // 脱离文档后滚动位置会丢失，先记下来
+    entry.scrollPositions = [];
+    entry.nodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        [node, ...node.querySelectorAll("*")].forEach((el) => {
+            if (el.scrollTop || el.scrollLeft) entry.scrollPositions.push([el, el.scrollTop, el.scrollLeft]);
         });
-    }
+    });
+    entry.nodes.forEach((n) => entry.storage.appendChild(n));
+    _callKeepAliveHooks(entry.nodes, "onDeactivated");
+    _pruneKeepAliveCache(entry.controller);
+}
 
-    return { props: finalProps, events, attributesToRemove };
+// 把缓存的实例放回占位符所在的位置，补上停用期间被推迟的 effect
+function _activateKeptInstance(entry, placeholder) {
+    const { controller, errorNode } = entry;
+    entry.active = true;
+    placeholder.parentNode.insertBefore(entry.storage, placeholder);
+    placeholder.parentNode.removeChild(placeholder);
+    (entry.scrollPositions || []).forEach(([el, top, left]) => {
+        el.scrollTop = top;
+        el.scrollLeft = left;
+    });
+    entry.scrollPositions = null;
+    controller.cache.delete(entry.key);
+    controller.cache.set(entry.key, entry);
+    const deferredEffects = Array.from(errorNode.deferredEffects || []).sort((a, b) => a.id - b.id);
+    errorNode.deactivated = false;
+    errorNode.deferredEffects = null;
+    deferredEffects.forEach((effect) => effect.isActive && scheduleEffect(effect));
+    _callKeepAliveHooks(entry.nodes, "onActivated");
 }
 
-/**
- * 【已重构】统一的 emit 函数创建器。
- * @param {object} eventHandlers - 由 parseAndProcessProps 创建的事件处理器映射。
- * @param {string} componentName - 子组件的名称。
- * @returns {Function} emit 函数。
- */
-function createEmitFunction(eventHandlers, componentName = "子组件") {
-    return function emit(eventName, payload) {
-        const handler = eventHandlers[eventName];
-        if (typeof handler === "function") {
+function _destroyKeptInstance(entry) {
+    entry.destroying = true;
+    if (entry.controller.cache.get(entry.key) === entry) entry.controller.cache.delete(entry.key);
+    Array.from(entry.storage.childNodes).forEach((n) => cleanupAndRemoveNode(n));
+}
+
+// 超出 max 时从最久未使用的一端开始销毁非活动实例
+function _pruneKeepAliveCache(controller) {
+    if (!controller.max) return;
+    for (const entry of Array.from(controller.cache.values())) {
+        if (controller.cache.size <= controller.max) break;
+        if (!entry.active) _destroyKeptInstance(entry);
+    }
+}
+
+// 依次调用节点树中各组件实例 (含子组件) 注册的 onActivated / onDeactivated，以及作用域上的同名函数 (旧写法)
+function _callKeepAliveHooks(nodes, hookName) {
+    const visit = (node) => {
+        const instance = componentInstanceRegistry.get(node);
+        if (instance) _runLifecycleHooks(instance, LIFECYCLE_HOOK_STAGES[hookName]);
+        const legacyHook = instance && instance.scope ? instance.scope[hookName] : null;
+        if (typeof legacyHook === "function" && !_lifecycleRegistrationFunctions.has(legacyHook)) {
             try {
-                // 直接调用已经绑定好上下文的函数
-                handler(payload);
+                legacyHook();
             } catch (error) {
-                console.error(`核心错误：执行 ${componentName} 的事件 "${eventName}" 处理器时出错:`, error);
+                handleError(error, { type: "hook", component: instance.label, message: `核心错误：[${instance.label}] 执行 ${hookName} 钩子时出错:` }, instance);
             }
         }
+        Array.from(node.childNodes).forEach(visit);
     };
+    nodes.forEach(visit);
 }
 
-async function executeScript(scriptContent, initialProps = {}, emit = () => {}, componentOriginalUrl) {
-    if (!scriptContent.trim()) {
-        return { refs: {} };
+// ===================================================================
+// 事件修饰符：@submit.prevent、@click.stop、按键过滤 (@keydown.ctrl.enter)、.outside 等
+// ===================================================================
+
+// 按键修饰符 -> KeyboardEvent.key 的取值；未列出的修饰符去掉连字符后与 key 忽略大小写比较 (page-down -> PageDown)
+const EVENT_KEY_MODIFIERS = {
+    enter: ["Enter"],
+    esc: ["Escape", "Esc"],
+    tab: ["Tab"],
+    space: [" ", "Spacebar"],
+    delete: ["Delete", "Backspace"],
+    up: ["ArrowUp", "Up"],
+    down: ["ArrowDown", "Down"],
+    left: ["ArrowLeft", "Left"],
+    right: ["ArrowRight", "Right"],
+};
+const EVENT_SYSTEM_MODIFIERS = ["ctrl", "shift", "alt", "meta"];
+// 鼠标事件上的 .left/.middle/.right 按 event.button 过滤
+const EVENT_MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+const EVENT_BEHAVIOR_MODIFIERS = ["prevent", "stop", "self", "once", "capture", "passive", "outside", "exact"];
+
+/**
+ * 拆分 @event.mod1.mod2 形式的属性名。
+ * @param {string} attrName - 以 @ 开头的属性名。
+ * @returns {{ eventName: string, modifiers: string[] }}
+ */
+function parseEventAttribute(attrName) {
+    const [eventName, ...modifiers] = attrName.substring(1).split(".");
+    return { eventName, modifiers: modifiers.filter(Boolean).map((modifier) => modifier.toLowerCase()) };
+}
+
+/**
+ * 拆分 n-model、n-model.trim、n-model:title.number 形式的属性名。冒号后的参数只用于组件上的具名模型。
+ * @param {string} attrName - 属性名。
+ * @returns {{ argument: string|null, modifiers: string[] }|null} 不是 n-model 属性时为 null。
+ */
+function parseModelAttribute(attrName) {
+    const match = attrName.match(/^n-model(?::([\w-]+))?((?:\.[\w-]+)*)$/);
+    if (!match) return null;
+    return { argument: match[1] || null, modifiers: match[2].split(".").filter(Boolean) };
+}
+
+function _matchesKeyModifier(event, modifier) {
+    if (typeof event.key !== "string") {
+        return modifier in EVENT_MOUSE_BUTTONS && event.button === EVENT_MOUSE_BUTTONS[modifier];
     }
-    try {
-        const boundImportNjsForNue = (relativePath) => {
-            return _loadAndExecuteNjsModule(relativePath, componentOriginalUrl);
-        };
-        const scriptArgNames = ["createSignal", "createWatch", "props", "emit", "importNjs"];
-        const scriptArgValues = [createSignal, createWatch, initialProps, emit, boundImportNjsForNue];
-        let dynamicScriptName;
-        try {
-            const urlObj = new URL(componentOriginalUrl);
-            dynamicScriptName = `${urlObj.pathname}.temp.js`;
-        } catch (e) {
-            dynamicScriptName = `${componentOriginalUrl.replace(/[?#].*$/, "")}.temp.js`;
+    if (EVENT_KEY_MODIFIERS[modifier]) return EVENT_KEY_MODIFIERS[modifier].includes(event.key);
+    return event.key.toLowerCase() === modifier.replace(/-/g, "");
+}
+
+/**
+ * 按修饰符为元素添加事件监听。过滤条件 (.self、.outside、系统键、.exact、按键) 全部满足后
+ * 才执行 .stop / .prevent 和处理器；.once 在处理器第一次实际执行后移除监听。
+ * .outside 监听 document 的捕获阶段，只在事件目标位于元素之外、且元素仍在文档中时触发。
+ * @param {Element} element - 绑定事件的元素。
+ * @param {string} eventName - 事件名。
+ * @param {string[]} modifiers - parseEventAttribute 得到的修饰符。
+ * @param {Function} listener - 处理器，参数为事件对象。
+ * @param {string} [parentComponentName] - 所在组件名，用于日志。
+ * @returns {Function} 移除监听的函数。
+ */
+function addModifiedEventListener(element, eventName, modifiers, listener, parentComponentName = "组件") {
+    const has = (modifier) => modifiers.includes(modifier);
+    const systemModifiers = modifiers.filter((modifier) => EVENT_SYSTEM_MODIFIERS.includes(modifier));
+    const keyModifiers = modifiers.filter((modifier) => !EVENT_SYSTEM_MODIFIERS.includes(modifier) && !EVENT_BEHAVIOR_MODIFIERS.includes(modifier));
+    if (has("passive") && has("prevent")) {
+        console.warn(`指令警告：[${parentComponentName}] @${eventName} 同时使用了 .passive 和 .prevent，被动监听器中 preventDefault 无效。`);
+    }
+    const target = has("outside") ? document : element;
+    const options = { capture: has("capture") || has("outside"), passive: has("passive") };
+    const handleEvent = (event) => {
+        if (has("self") && event.target !== element) return;
+        if (has("outside") && (!element.isConnected || element.contains(event.target))) return;
+        if (systemModifiers.some((modifier) => !event[`${modifier}Key`])) return;
+        if (has("exact") && EVENT_SYSTEM_MODIFIERS.some((modifier) => !systemModifiers.includes(modifier) && event[`${modifier}Key`])) return;
+        if (keyModifiers.length > 0 && !keyModifiers.some((modifier) => _matchesKeyModifier(event, modifier))) return;
+        if (has("stop")) event.stopPropagation();
+        if (has("prevent")) event.preventDefault();
+        if (has("once")) target.removeEventListener(eventName, handleEvent, options);
+        listener(event);
+    };
+    target.addEventListener(eventName, handleEvent, options);
+    return () => target.removeEventListener(eventName, handleEvent, options);
+}
+
+/**
+ * 把文本拆分为静态文本和 {{ 表达式 }} 片段。结束的 "}}" 按花括号配对查找，
+ * 表达式中可以出现对象字面量 (如 {{ $t("k", { n: 1 }) }}) 以及包含花括号的字符串；没有配对的 "{{" 按普通文本处理。
+ * @param {string} text - 文本节点的内容。
+ * @returns {Array<{ text: string }|{ expression: string }>|null} 片段列表；不含插值时返回 null。
+ */
+function _splitMustache(text) {
+    const parts = [];
+    let lastIndex = 0;
+    let start = text.indexOf("{{");
+    while (start !== -1) {
+        const end = _findMustacheEnd(text, start + 2);
+        if (end === -1) break;
+        const expression = text.substring(start + 2, end).trim();
+        if (expression) {
+            if (start > lastIndex) parts.push({ text: text.substring(lastIndex, start) });
+            parts.push({ expression });
+            lastIndex = end + 2;
         }
-        dynamicScriptName = encodeURI(dynamicScriptName);
-        const wrappedScriptContent = `return (async () => { \n${scriptContent}\n })(); \n//# sourceURL=${dynamicScriptName}`;
-        const scriptFunction = new Function(...scriptArgNames, wrappedScriptContent);
-        const componentScopePromise = scriptFunction(...scriptArgValues);
-        const componentScope = await componentScopePromise;
-        if (typeof componentScope === "object" && componentScope !== null) {
-            if (!componentScope.refs) {
-                componentScope.refs = {};
+        start = text.indexOf("{{", expression ? lastIndex : start + 2);
+    }
+    if (parts.length === 0) return null;
+    if (lastIndex < text.length) parts.push({ text: text.substring(lastIndex) });
+    return parts;
+}
+
+// 返回与 "{{" 配对的 "}}" 的位置：跳过字符串字面量，表达式自身的花括号 (包括模板字符串中的 ${}) 成对出现
+function _findMustacheEnd(text, start) {
+    const stack = []; // 尚未闭合的 "{" 和模板字符串 "`"
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (stack[stack.length - 1] === "`") {
+            if (ch === "\\") {
+                i++;
+            } else if (ch === "`") {
+                stack.pop();
+            } else if (ch === "$" && text[i + 1] === "{") {
+                stack.push("{");
+                i++;
             }
-            return componentScope;
-        } else {
-            console.warn(`核心警告：组件 ${componentOriginalUrl} 的脚本未返回一个对象。将创建一个空作用域。`);
-            return { refs: {} };
+        } else if (ch === '"' || ch === "'") {
+            for (i++; i < text.length && text[i] !== ch; i++) {
+                if (text[i] === "\\") i++;
+            }
+        } else if (ch === "`" || ch === "{") {
+            stack.push(ch);
+        } else if (ch === "}") {
+            if (stack.length > 0) stack.pop();
+            else if (text[i + 1] === "}") return i;
         }
-    } catch (error) {
-        throw error;
     }
+    return -1;
+}
+
+// 本次同步编译中创建的 effect 都归属于当前作用域的错误处理链；
+// 编译在 await 之后继续时总是重新经过这里，因此链由作用域显式传递
+function compileNode(node, scope, directiveHandlers, parentComponentName = "根组件", currentContextOriginalUrl = null) {
+    return _runWithErrorChain(scope ? scope[ERROR_SCOPE_KEY] : null, () => _compileNodeWithinChain(node, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl));
 }
 
 // [REPLACE] 最终修复版: 修正了指令处理优先级的 compileNode
-async function compileNode(node, scope, directiveHandlers, parentComponentName = "根组件", currentContextOriginalUrl = null) {
+async function _compileNodeWithinChain(node, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl) {
     if (!directiveHandlers || typeof directiveHandlers.evaluateExpression !== "function") {
         console.error(`核心错误：[${parentComponentName}] 指令处理器或 evaluateExpression 未准备好，编译中止。`);
         return;
@@ -588,6 +3055,7 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
     if (node.nodeType === Node.ELEMENT_NODE) {
         const element = node;
         const tagName = element.tagName.toLowerCase();
+        if (_ssrState.recording && _isStructuralElement(element)) _markHydrationRange(element);
 
         // =================================================================
         // 步骤 1: 结构性指令优先处理 (最高优先级)
@@ -597,16 +3065,30 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             directiveHandlers.handleNIf(element, nIfAttr, scope, (node, s, dh, cn) => compileNode(node, s, dh, cn, currentContextOriginalUrl), directiveHandlers, parentComponentName);
             return;
         }
+        if (element.hasAttribute("n-else") || element.hasAttribute("n-else-if")) {
+            // 合法的分支已由前面的 n-if 接管；没有被接管说明它前面不是 n-if / n-else-if 元素
+            if (!directiveHandlers.isClaimedConditionalBranch(element)) {
+                const attrName = element.hasAttribute("n-else") ? "n-else" : "n-else-if";
+                console.error(`指令错误：[${parentComponentName}] <${tagName} ${attrName}> 必须紧跟在带有 n-if 或 n-else-if 的兄弟元素之后 (中间只能有空白或注释)，该元素不会被渲染。`);
+                if (element.parentNode) element.parentNode.removeChild(element);
+            }
+            return;
+        }
         const nForAttr = element.getAttribute("n-for");
         if (nForAttr !== null) {
-            // 这里的 compileFn 就是 compileNode 自身，它会处理克隆出的每个元素
-            directiveHandlers.handleNFor(element, nForAttr, scope, compileNode, directiveHandlers, parentComponentName);
+            // 这里的 compileFn 就是 compileNode 自身，它会处理克隆出的每个元素；同样要带上组件地址，条目中的相对 src 才能正确解析
+            directiveHandlers.handleNFor(element, nForAttr, scope, (node, s, dh, cn) => compileNode(node, s, dh, cn, currentContextOriginalUrl), directiveHandlers, parentComponentName);
             return;
         }
 
         // =================================================================
-        // 步骤 2: 区分组件类型
+        // 步骤 2: 区分组件类型 (内置组件优先)
         // =================================================================
+        const builtInHandler = builtInComponents[tagName];
+        if (builtInHandler) {
+            await builtInHandler(element, scope, directiveHandlers, parentComponentName, currentContextOriginalUrl);
+            return;
+        }
         const isNueComponent = tagName.includes("-") && !window.customElements.get(tagName);
         const isWebComponent = tagName.includes("-") && window.customElements.get(tagName);
 
@@ -614,48 +3096,9 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             // -------------------------------------------------
             // 2.1 处理 Nue 组件
             // -------------------------------------------------
-            const componentName = tagName;
-            const { props, events, attributesToRemove } = parseAndProcessProps(element, scope, {}, componentName);
-            attributesToRemove.forEach((attrName) => element.removeAttribute(attrName));
-
             const srcAttr = element.getAttribute("src");
-            const rawComponentPath = srcAttr ? srcAttr : `${tagName}.nue`;
             if (srcAttr) element.removeAttribute("src");
-            const { versionedUrl: childVersionedUrl, originalUrl: childOriginalUrl } = getVersionedAndOriginalUrls(rawComponentPath, currentContextOriginalUrl);
-
-            const slotsDataForChild = {};
-            const slotContentContainer = document.createDocumentFragment();
-            Array.from(element.childNodes).forEach((cn) => slotContentContainer.appendChild(cn));
-            const rawSlotContents = { default: [] };
-            Array.from(slotContentContainer.childNodes).forEach((childNode) => {
-                if (childNode.nodeType === Node.ELEMENT_NODE && childNode.tagName.toLowerCase() === "template") {
-                    if (childNode.hasAttribute("slot")) {
-                        let slotNameAttr = (childNode.getAttribute("slot") || "").trim() || "default";
-                        if (!rawSlotContents[slotNameAttr]) rawSlotContents[slotNameAttr] = [];
-                        const templateContent = childNode.content;
-                        if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents[slotNameAttr].push(c.cloneNode(true)));
-                    } else {
-                        const templateContent = childNode.content;
-                        if (templateContent) Array.from(templateContent.childNodes).forEach((c) => rawSlotContents.default.push(c.cloneNode(true)));
-                    }
-                } else if (!(childNode.nodeType === Node.TEXT_NODE && childNode.nodeValue.trim() === "")) {
-                    rawSlotContents.default.push(childNode.cloneNode(true));
-                }
-            });
-            for (const sName in rawSlotContents) {
-                if (rawSlotContents[sName].length > 0) {
-                    slotsDataForChild[sName] = { nodes: rawSlotContents[sName], parentScope: scope, parentContextOriginalUrl: currentContextOriginalUrl };
-                }
-            }
-
-            const placeholder = document.createComment(`component-placeholder: ${tagName}`);
-            if (!element.parentNode) {
-                console.error(`核心错误：[${parentComponentName}] 子组件 <${tagName}> 在替换为占位符前已无父节点。`);
-                return;
-            }
-            element.parentNode.replaceChild(placeholder, element);
-
-            await mountComponent(childVersionedUrl, placeholder, props, events, tagName, slotsDataForChild, childOriginalUrl);
+            await mountNueChildComponent(element, srcAttr || `${tagName}.nue`, tagName, scope, parentComponentName, currentContextOriginalUrl);
             return;
         }
 
@@ -667,12 +3110,15 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             const attrName = attr.name;
             const attrValue = attr.value;
             if (attrName.startsWith(":")) {
+                // <slot> 上的绑定是传给插槽内容的 slot props，在步骤 4 中处理
+                if (tagName === "slot") continue;
                 if (directiveHandlers.handleAttributeBinding) directiveHandlers.handleAttributeBinding(element, attrName.substring(1), attrValue, scope, parentComponentName);
                 attributesToRemoveAfterProcessing.push(attrName);
             } else if (attrName.startsWith("@")) {
-                const eventName = attrName.substring(1);
+                const { eventName, modifiers } = parseEventAttribute(attrName);
                 const handlerExpression = attrValue.trim();
-                element.addEventListener(eventName, (event) => {
+                // 处理器内的多次 Signal 写入合并为一次批量更新
+                const removeListener = addModifiedEventListener(element, eventName, modifiers, (event) => batch(() => {
                     try {
                         const executionContext = Object.create(scope);
                         executionContext.$event = event;
@@ -688,12 +3134,16 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
                             directiveHandlers.evaluateExpression(handlerExpression, executionContext, false);
                         }
                     } catch (error) {
-                        console.error(`核心错误：[${parentComponentName}] 在执行事件处理器 "${handlerExpression}" 期间发生意外错误:`, error);
+                        handleError(error, { type: "handler", component: parentComponentName, expression: handlerExpression, message: `核心错误：[${parentComponentName}] 在执行事件处理器 "${handlerExpression}" 期间发生意外错误:` }, scope[ERROR_SCOPE_KEY]);
                     }
-                });
+                }), parentComponentName);
+                // 挂在 document 上的监听不会随元素回收，元素被清理 (所在分支切换或组件卸载) 时移除
+                if (modifiers.includes("outside")) registerNodeCleanup(element, removeListener);
                 attributesToRemoveAfterProcessing.push(attrName);
-            } else if (attrName === "n-model" && directiveHandlers.handleNModel) {
-                directiveHandlers.handleNModel(element, attrValue, scope, parentComponentName);
+            } else if (parseModelAttribute(attrName) && directiveHandlers.handleNModel) {
+                const { argument, modifiers } = parseModelAttribute(attrName);
+                if (argument) console.warn(`指令警告：[${parentComponentName}] 具名模型 ${attrName} 只能用在组件上，<${tagName}> 将忽略参数 "${argument}"。`);
+                directiveHandlers.handleNModel(element, attrValue, scope, parentComponentName, modifiers);
                 attributesToRemoveAfterProcessing.push(attrName);
             } else if (attrName === "n-show" && directiveHandlers.handleNShow) {
                 directiveHandlers.handleNShow(element, attrValue, scope, parentComponentName);
@@ -725,15 +3175,17 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             const slotName = element.getAttribute("name") || "default";
             const slotDataFromParent = scope.$slots && scope.$slots[slotName];
             const parentOfSlotTag = element.parentNode;
+            const hydrateRange = _takeHydrationRange(element);
             if (parentOfSlotTag) {
                 let nodesToCompileInSlot = [];
                 let slotScope = scope;
                 let slotContextUrl = currentContextOriginalUrl;
                 let slotParentName = `${parentComponentName} (slot '${slotName}' fallback)`;
                 if (slotDataFromParent && slotDataFromParent.nodes && slotDataFromParent.nodes.length > 0) {
-                    const { nodes, parentScope, parentContextOriginalUrl } = slotDataFromParent;
+                    const { nodes, parentScope, parentContextOriginalUrl, slotPropsPattern } = slotDataFromParent;
                     nodesToCompileInSlot = nodes.map((n) => n.cloneNode(true));
-                    slotScope = parentScope;
+                    // 作用域插槽：父组件声明了 slot-props 时，在父作用域之上叠加一层，放入子组件传出的值
+                    slotScope = slotPropsPattern ? _createSlotScope(parentScope, slotPropsPattern, _createSlotProps(element, scope, directiveHandlers), parentComponentName) : parentScope;
                     slotContextUrl = parentContextOriginalUrl;
                     slotParentName = `${parentComponentName} (slot '${slotName}' content from parent)`;
                 } else {
@@ -741,9 +3193,15 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
                 }
                 const contentFragmentForSlot = document.createDocumentFragment();
                 nodesToCompileInSlot.forEach((node) => contentFragmentForSlot.appendChild(node));
-                const compileSlotPromises = Array.from(contentFragmentForSlot.childNodes).map((node) => compileNode(node, slotScope, directiveHandlers, slotParentName, slotContextUrl));
-                await Promise.all(compileSlotPromises);
-                parentOfSlotTag.insertBefore(contentFragmentForSlot, element);
+                // 注水时插槽内容接管 <slot> 的预渲染范围，直接在文档中编译
+                const slotNodes = hydrateRange
+                    ? _claimHydrationNodes(Array.from(contentFragmentForSlot.childNodes), parentOfSlotTag, _nodesBetween(hydrateRange.start, hydrateRange.end), hydrateRange.start, slotParentName)
+                    : Array.from(contentFragmentForSlot.childNodes);
+                const compileSlotContent = () => slotNodes.map((node) => compileNode(node, slotScope, directiveHandlers, slotParentName, slotContextUrl));
+                // 父组件提供的内容在父组件的作用域中编译，其中的组件实例编号由宿主的插槽渲染顺序决定
+                await Promise.all(slotScope !== scope ? _runInSlotKeyContext(scope, slotName, slotScope, compileSlotContent) : compileSlotContent());
+                if (hydrateRange) _removeHydrationMarkers(hydrateRange);
+                else parentOfSlotTag.insertBefore(contentFragmentForSlot, element);
                 parentOfSlotTag.removeChild(element);
             } else {
                 console.warn(`核心警告：[${parentComponentName}] <slot name="${slotName}"> 标签无父节点，无法渲染。`);
@@ -751,58 +3209,223 @@ async function compileNode(node, scope, directiveHandlers, parentComponentName =
             return;
         }
 
-        // 编译普通元素的子节点
-        const compileChildPromises = Array.from(element.childNodes).map((child) => compileNode(child, scope, directiveHandlers, `${parentComponentName} > ${element.tagName.toUpperCase()}`, currentContextOriginalUrl));
-        await Promise.all(compileChildPromises);
-    } else if (node.nodeType === Node.TEXT_NODE) {
-        // 文本节点的处理逻辑保持不变
-        const textContent = node.textContent || "";
-        const mustacheRegex = /\{\{([^}]+)\}\}/g;
-        if (!mustacheRegex.test(textContent)) return;
-        const segments = [];
-        let lastIndex = 0;
-        let match;
-        mustacheRegex.lastIndex = 0;
-        while ((match = mustacheRegex.exec(textContent)) !== null) {
-            if (match.index > lastIndex) {
-                segments.push(document.createTextNode(textContent.substring(lastIndex, match.index)));
-            }
-            const expression = match[1].trim();
-            const placeholderNode = document.createTextNode("");
-            segments.push(placeholderNode);
-            createEffect(() => {
-                try {
-                    const value = directiveHandlers.evaluateExpression(expression, scope);
-                    placeholderNode.textContent = value === undefined || value === null ? "" : String(value);
-                } catch (error) {
-                    console.error(`核心错误：[${parentComponentName}] 计算插值表达式 "{{${expression}}}" 出错:`, error);
-                    placeholderNode.textContent = `{{表达式错误: ${expression}}}`;
-                }
-            });
-            lastIndex = mustacheRegex.lastIndex;
+        // 编译普通元素的子节点；注水时沿用的元素改为编译接管其子节点的模板节点
+        const childNodes = _hydratedChildLists.get(element) || Array.from(element.childNodes);
+        _hydratedChildLists.delete(element);
+        const compileChildPromises = childNodes.map((child) => compileNode(child, scope, directiveHandlers, `${parentComponentName} > ${element.tagName.toUpperCase()}`, currentContextOriginalUrl));
+        await Promise.all(compileChildPromises);
+    } else if (node.nodeType === Node.TEXT_NODE) {
+        // 文本节点的处理逻辑保持不变
+        const parts = _splitMustache(node.textContent || "");
+        if (!parts) return;
+        const segments = [];
+        for (const part of parts) {
+            if (part.expression === undefined) {
+                segments.push(document.createTextNode(part.text));
+                continue;
+            }
+            const { expression } = part;
+            const placeholderNode = document.createTextNode("");
+            segments.push(placeholderNode);
+            createEffect(() => {
+                try {
+                    const value = directiveHandlers.evaluateExpression(expression, scope);
+                    placeholderNode.textContent = value === undefined || value === null ? "" : String(value);
+                } catch (error) {
+                    placeholderNode.textContent = `{{表达式错误: ${expression}}}`;
+                    handleError(error, { type: "render", component: parentComponentName, expression, message: `核心错误：[${parentComponentName}] 计算插值表达式 "{{${expression}}}" 出错:` }, scope[ERROR_SCOPE_KEY]);
+                }
+            });
+        }
+        if (segments.length > 0 && node.parentNode) {
+            segments.forEach((segment) => node.parentNode.insertBefore(segment, node));
+            node.parentNode.removeChild(node);
+        }
+    }
+}
+
+// ===================================================================
+// 作用域样式 (<style scoped>)
+// ===================================================================
+
+/**
+ * 根据组件原始 URL 生成稳定的作用域属性名，例如 `data-n-1x2y3z`。
+ */
+function getScopeAttributeName(originalComponentUrl) {
+    let hash = 5381;
+    for (let i = 0; i < originalComponentUrl.length; i++) {
+        hash = ((hash << 5) + hash + originalComponentUrl.charCodeAt(i)) | 0;
+    }
+    return `data-n-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * 给模板中所有将被渲染的元素打上作用域属性 (包括 <template> 内容和 <slot> 的后备内容)。
+ * Nue 组件标签本身不打标记，以免属性被当成 Prop 传给子组件。
+ */
+function stampScopeAttribute(root, scopeAttr) {
+    Array.from(root.childNodes).forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        const tagName = node.tagName.toLowerCase();
+        const isNueComponentTag = tagName.includes("-") && !window.customElements.get(tagName);
+        if (!isNueComponentTag) node.setAttribute(scopeAttr, "");
+        stampScopeAttribute(tagName === "template" ? node.content : node, scopeAttr);
+    });
+}
+
+// 在顶层 (不在括号或方括号内) 按分隔字符切分
+function _splitTopLevel(text, separatorTest) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === "(" || ch === "[") depth++;
+        else if (ch === ")" || ch === "]") depth--;
+        else if (depth === 0 && separatorTest(ch)) {
+            parts.push(text.substring(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.substring(start));
+    return parts;
+}
+
+// 找到与 openIndex 处 "(" 匹配的 ")" 的位置
+function _findClosingParen(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+        if (text[i] === "(") depth++;
+        else if (text[i] === ")" && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// 把作用域属性加到选择器的最后一个复合选择器上 (伪元素之前)
+function _scopeLastCompound(selector, scopeAttr) {
+    let depth = 0;
+    let lastCompoundStart = 0;
+    for (let i = 0; i < selector.length; i++) {
+        const ch = selector[i];
+        if (ch === "(" || ch === "[") depth++;
+        else if (ch === ")" || ch === "]") depth--;
+        else if (depth === 0 && /[\s>+~]/.test(ch)) lastCompoundStart = i + 1;
+    }
+    const head = selector.substring(0, lastCompoundStart);
+    const last = selector.substring(lastCompoundStart);
+    const pseudoElementMatch = last.match(/::|:(?:before|after|first-line|first-letter)\b/);
+    const insertAt = pseudoElementMatch ? pseudoElementMatch.index : last.length;
+    return `${head}${last.substring(0, insertAt)}[${scopeAttr}]${last.substring(insertAt)}`;
+}
+
+function _scopeSelector(selector, scopeAttr) {
+    const trimmed = selector.trim();
+    if (!trimmed) return selector;
+    // :global(...) —— 整个选择器不加作用域，只去掉包装
+    if (trimmed.includes(":global(")) {
+        let result = trimmed;
+        let index;
+        while ((index = result.indexOf(":global(")) !== -1) {
+            const close = _findClosingParen(result, index + 7);
+            if (close === -1) break;
+            result = result.substring(0, index) + result.substring(index + 8, close) + result.substring(close + 1);
+        }
+        return result;
+    }
+    // :deep(...) —— 作用域属性加在 :deep 之前的部分，括号内的选择器可以匹配子组件内部
+    const deepIndex = trimmed.indexOf(":deep(");
+    if (deepIndex !== -1) {
+        const close = _findClosingParen(trimmed, deepIndex + 5);
+        if (close !== -1) {
+            const before = trimmed.substring(0, deepIndex).trim();
+            const inner = trimmed.substring(deepIndex + 6, close).trim();
+            const rest = trimmed.substring(close + 1);
+            const scopedBefore = before ? _scopeLastCompound(before, scopeAttr) : `[${scopeAttr}]`;
+            return `${scopedBefore} ${inner}${rest}`;
+        }
+    }
+    return _scopeLastCompound(trimmed, scopeAttr);
+}
+
+/**
+ * 重写 CSS 文本，使每条规则只作用于带有作用域属性的元素。
+ * @media/@supports/@container/@layer 内的规则会递归处理，@keyframes/@font-face 等保持不变。
+ * @param {string} css - 原始 CSS。
+ * @param {string} scopeAttr - 作用域属性名。
+ * @returns {string} 重写后的 CSS。
+ */
+function scopeCssText(css, scopeAttr) {
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, "");
+    let output = "";
+    let cursor = 0;
+    while (cursor < source.length) {
+        const braceIndex = source.indexOf("{", cursor);
+        const semicolonIndex = source.indexOf(";", cursor);
+        if (braceIndex === -1) {
+            output += source.substring(cursor);
+            break;
         }
-        if (lastIndex < textContent.length) {
-            segments.push(document.createTextNode(textContent.substring(lastIndex)));
+        const prelude = source.substring(cursor, braceIndex).trim();
+        // 没有块的 at 规则 (例如 @import、@charset)
+        if (prelude.startsWith("@") && semicolonIndex !== -1 && semicolonIndex < braceIndex) {
+            output += source.substring(cursor, semicolonIndex + 1) + "\n";
+            cursor = semicolonIndex + 1;
+            continue;
         }
-        if (segments.length > 0 && node.parentNode) {
-            segments.forEach((segment) => node.parentNode.insertBefore(segment, node));
-            node.parentNode.removeChild(node);
+        let depth = 0;
+        let blockEnd = braceIndex;
+        for (; blockEnd < source.length; blockEnd++) {
+            if (source[blockEnd] === "{") depth++;
+            else if (source[blockEnd] === "}" && --depth === 0) break;
+        }
+        const body = source.substring(braceIndex + 1, blockEnd);
+        if (prelude.startsWith("@")) {
+            if (/^@(?:media|supports|container|layer|document)\b/i.test(prelude)) {
+                output += `${prelude} {\n${scopeCssText(body, scopeAttr)}}\n`;
+            } else {
+                output += `${prelude} {${body}}\n`;
+            }
+        } else {
+            const selectors = _splitTopLevel(prelude, (ch) => ch === ",").map((sel) => _scopeSelector(sel, scopeAttr));
+            output += `${selectors.join(", ")} {${body}}\n`;
         }
+        cursor = blockEnd + 1;
     }
+    return output;
+}
+
+function _getStyleElementId(originalComponentUrl) {
+    return `nono-style-${originalComponentUrl.replace(/[^a-zA-Z0-9_-]/g, "-")}`;
 }
 
-function injectStyles(css, originalComponentUrl) {
+function injectStyles(css, originalComponentUrl, scopeAttr = null) {
     if (!css || !css.trim()) return;
-    const styleId = `nono-style-${originalComponentUrl.replace(/[^a-zA-Z0-9_-]/g, "-")}`;
+    const styleId = _getStyleElementId(originalComponentUrl);
     if (document.getElementById(styleId)) return;
     const styleElement = document.createElement("style");
     styleElement.id = styleId;
-    styleElement.textContent = css;
+    styleElement.textContent = scopeAttr ? scopeCssText(css, scopeAttr) : css;
     document.head.appendChild(styleElement);
 }
 
+/**
+ * 登记在节点被 cleanupAndRemoveNode 移除时执行的清理函数 (与组件根节点上的 effect 停止函数放在一起)。
+ * 用于不随元素回收的资源，例如挂在 document 上的监听器或 MutationObserver。
+ * @param {Node} node - 元素或注释节点。
+ * @param {Function} cleanupFn - 清理函数。
+ */
+function registerNodeCleanup(node, cleanupFn) {
+    if (!componentEffectsRegistry.has(node)) componentEffectsRegistry.set(node, new Set());
+    componentEffectsRegistry.get(node).add(cleanupFn);
+}
+
 function cleanupAndRemoveNode(node) {
     if (!node) return;
+    if (_keepAliveIntercept(node)) return;
+    // 以该节点为第一个根节点的组件实例：onBeforeUnmount 在子节点清理之前调用，onUnmounted 在节点移除之后调用
+    const instance = componentInstanceRegistry.get(node);
+    const isUnmountingInstance = !!(instance && instance.isMounted);
+    if (isUnmountingInstance) _runLifecycleHooks(instance, "beforeUnmount");
     if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.COMMENT_NODE) {
         if (node.nodeType === Node.ELEMENT_NODE && node.hasChildNodes()) {
             Array.from(node.childNodes).forEach((child) => cleanupAndRemoveNode(child));
@@ -831,9 +3454,33 @@ function cleanupAndRemoveNode(node) {
     if (node.parentNode) {
         node.parentNode.removeChild(node);
     }
+    if (isUnmountingInstance) {
+        instance.isMounted = false;
+        _pendingUpdatedInstances.delete(instance);
+        _runLifecycleHooks(instance, "unmounted");
+    }
 }
 
-async function mountComponent(componentFile, targetSelectorOrElement, initialProps = {}, eventHandlers = {}, componentNameSuggestion, slotsDataFromParent = {}, baseResolutionUrlOverride) {
+/**
+ * 获取、编译并挂载一个组件。
+ * @param {string} componentFile - 组件文件路径。
+ * @param {string|Element|Comment} targetSelectorOrElement - 挂载目标；注释节点表示原位替换的占位符。
+ * @param {object} [initialProps] - 传给组件脚本的 props。
+ * @param {object} [eventHandlers] - 组件 emit 的事件处理器。
+ * @param {string} [componentNameSuggestion] - 组件名称，用于日志。
+ * @param {object} [slotsDataFromParent] - 父组件提供的插槽内容。
+ * @param {string} [baseResolutionUrlOverride] - 解析 componentFile 时使用的基准 URL。
+ * @param {object} [mountOptions] - 内部选项。
+ * @param {object} [mountOptions.scopeExtensions] - 编译模板前合并到组件作用域上的额外属性。
+ * @param {object} [mountOptions.parentScope] - 组件标签所在的作用域，用于确定错误处理链等上下文。
+ * @param {Array} [mountOptions.previousSignalValues] - 热重载时旧实例中 Signal 的值，按创建顺序恢复。
+ * @param {*} [mountOptions.keepAliveKey] - 在 <keep-alive> 中区分同一组件不同实例的 key。
+ * @param {string} [mountOptions.instanceKey] - 调用方已预留的实例路径 (见 _reserveInstanceKey)。
+ * @param {object} [mountOptions.hydrateRange] - 注水：{ start, end } 之间是该实例预渲染的节点，原位接管而不是插入新节点；两端的注释由调用方移除。
+ * @param {boolean} [mountOptions.rejectOnIntegrityError] - 完整性校验失败时拒绝返回的 Promise，而不是显示错误信息 (用于 init 挂载根组件)。
+ * @returns {Promise<Node|null>} 组件的第一个根节点。
+ */
+async function mountComponent(componentFile, targetSelectorOrElement, initialProps = {}, eventHandlers = {}, componentNameSuggestion, slotsDataFromParent = {}, baseResolutionUrlOverride, mountOptions = {}) {
     const { versionedUrl: versionedComponentUrl, originalUrl: originalAbsoluteUrl } = getVersionedAndOriginalUrls(componentFile, baseResolutionUrlOverride || null);
     let componentName = componentNameSuggestion;
     if (!componentName) {
@@ -860,27 +3507,61 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         console.error(`核心错误：[${componentName}] 挂载失败，无效的目标类型:`, targetSelectorOrElement);
         return null;
     }
+    // <keep-alive> 中已缓存的实例直接放回占位符的位置，不再重新执行脚本
+    const keepAliveController = isPlaceholder && mountOptions.parentScope ? mountOptions.parentScope[KEEP_ALIVE_KEY] || null : null;
+    const keepAliveCacheKey = keepAliveController && _keepAliveMatches(keepAliveController, componentName, originalAbsoluteUrl) ? _getKeepAliveCacheKey(originalAbsoluteUrl, mountOptions.keepAliveKey) : null;
+    if (keepAliveCacheKey !== null) {
+        const cachedEntry = keepAliveController.cache.get(keepAliveCacheKey);
+        if (cachedEntry && !cachedEntry.active) {
+            _activateKeptInstance(cachedEntry, targetElement);
+            return cachedEntry.rootNode;
+        }
+    }
+    const parentErrorChain = mountOptions.parentScope ? mountOptions.parentScope[ERROR_SCOPE_KEY] || null : null;
+    const hydrateRange = mountOptions.hydrateRange || null;
+    // 组件自己的错误处理节点，同时作为实例上下文记录 effect 和作用域；脚本返回 onError 后才填入 handler
+    const errorNode = { handler: null, parent: parentErrorChain, label: componentName, url: originalAbsoluteUrl, scope: null, effects: new Set(), childCount: 0 };
+    // 实例在组件树中的路径，例如 "/demo:0/x-kid:1"，服务端渲染与注水时据此对应 Signal 状态
+    errorNode.key = mountOptions.instanceKey || _reserveInstanceKey(mountOptions.parentScope, componentName);
     const effectsForThisComponent = [];
+    errorNode.effectCleanupList = effectsForThisComponent;
+    // 挂载之后仍可能有 effect 加入列表 (如 <suspense> 的延迟渲染)，卸载时按当时的内容停止
+    const stopComponentEffects = () => effectsForThisComponent.splice(0).forEach((stopFn) => stopFn());
     const previousEffectCleanupList = _currentEffectCleanupList;
     _currentEffectCleanupList = effectsForThisComponent;
     let mountedRootNode = null;
     try {
-        const componentText = await fetchAndCacheComponentText(versionedComponentUrl, originalAbsoluteUrl);
-        let cacheEntry = componentCache.get(versionedComponentUrl);
-        if (!cacheEntry) {
-            cacheEntry = { text: componentText, structure: null, templateElement: null, originalUrl: originalAbsoluteUrl };
-            componentCache.set(versionedComponentUrl, cacheEntry);
-        }
-        if (!cacheEntry.structure) {
-            cacheEntry.structure = parseComponentStructure(componentText, versionedComponentUrl);
-        }
-        const { template, script, style } = cacheEntry.structure;
+        const cacheEntry = await loadComponentEntry(versionedComponentUrl, originalAbsoluteUrl);
+        // 多个组件并发挂载，每次 await 之后都要重新指定当前组件的 effect 收集列表
+        _currentEffectCleanupList = effectsForThisComponent;
+        const { template, script, style, styleScoped } = cacheEntry.structure;
+        const scopeAttr = styleScoped ? getScopeAttributeName(originalAbsoluteUrl) : null;
 
         const emit = createEmitFunction(eventHandlers, componentName);
-        const componentScope = await executeScript(script, initialProps, emit, originalAbsoluteUrl);
+        const ssrSignalValues = _ssrState.hydrationValues ? _ssrState.hydrationValues[errorNode.key] : null;
+        const hotRecord =
+            _hotReloadState.enabled || _ssrState.recording || ssrSignalValues ? { signals: [], previousSignalValues: mountOptions.previousSignalValues || ssrSignalValues || [] } : null;
+        if (hotRecord && _ssrState.recording) _ssrState.records.set(errorNode.key, hotRecord.signals);
+        const componentScope = await executeScript(script, initialProps, emit, originalAbsoluteUrl, hotRecord, errorNode);
+        _currentEffectCleanupList = effectsForThisComponent;
+        // 脚本中创建的 effect (如 createWatch) 重新执行不算组件更新，不触发 onUpdated
+        errorNode.effects.forEach((effect) => (effect.isScriptEffect = true));
 
         if (componentScope && typeof componentScope === "object") {
-            componentScope.$slots = slotsDataFromParent;
+            if (typeof componentScope.onError === "function") {
+                errorNode.handler = componentScope.onError;
+            }
+            componentScope[ERROR_SCOPE_KEY] = errorNode;
+            errorNode.scope = componentScope;
+            componentScope.$slots = keepAliveCacheKey !== null ? _maskKeepAliveSlots(slotsDataFromParent) : slotsDataFromParent;
+            if (!("$t" in componentScope)) componentScope.$t = t;
+            if (!("$route" in componentScope)) componentScope.$route = _currentRouteSignal;
+            if (!("$router" in componentScope)) componentScope.$router = nueRouter;
+            if (mountOptions.scopeExtensions) {
+                Reflect.ownKeys(mountOptions.scopeExtensions).forEach((key) => {
+                    componentScope[key] = mountOptions.scopeExtensions[key];
+                });
+            }
         }
 
         let fragment;
@@ -889,46 +3570,106 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
         } else {
             const templateEl = document.createElement("template");
             templateEl.innerHTML = template.trim();
+            if (scopeAttr) stampScopeAttribute(templateEl.content, scopeAttr);
             cacheEntry.templateElement = templateEl;
             fragment = templateEl.content.cloneNode(true);
         }
 
         const topLevelNodesInFragment = Array.from(fragment.childNodes);
         mountedRootNode = topLevelNodesInFragment[0] || null;
+        // 注水时模板节点接管范围内预渲染的节点 (挂载点本身也可能在范围内，如 <router-view>)，编译直接作用于文档
+        const nodesToCompile = hydrateRange
+            ? _claimHydrationNodes(topLevelNodesInFragment, hydrateRange.start.parentNode, _nodesBetween(hydrateRange.start, hydrateRange.end).filter((node) => node !== targetElement), hydrateRange.start, componentName)
+            : topLevelNodesInFragment;
 
         // [MODIFIED] 移除 rootContext 的创建和传递
-        const compilePromises = topLevelNodesInFragment.map((node) => compileNode(node, componentScope, window.NueDirectives, componentName, originalAbsoluteUrl));
+        const compilePromises = nodesToCompile.map((node) => compileNode(node, componentScope, window.NueDirectives, componentName, originalAbsoluteUrl));
         await Promise.all(compilePromises);
 
-        injectStyles(style, originalAbsoluteUrl);
-        if (isPlaceholder) {
+        if (isPlaceholder && !targetElement.parentNode) {
+            // 挂载期间占位符已被移除 (例如所在的 n-if 分支或路由视图已切换)，丢弃渲染结果并清理
+            if (mountedRootNode) registerNodeCleanup(mountedRootNode, stopComponentEffects);
+            if (hydrateRange) stopComponentEffects();
+            nodesToCompile.forEach((node) => cleanupAndRemoveNode(node));
+            return null;
+        }
+        if (hydrateRange) {
+            // 渲染结果已在文档中，只需移除占位符
+            if (isPlaceholder) targetElement.parentNode.removeChild(targetElement);
+            mountedRootNode = _nodesBetween(hydrateRange.start, hydrateRange.end)[0] || null;
+        }
+        injectStyles(style, originalAbsoluteUrl, scopeAttr);
+        if (hotRecord && _hotReloadState.enabled) {
+            // 用注释锚点标出实例的范围，热重载时整体替换
+            const startAnchor = document.createComment(`hot: ${componentName}`);
+            const endAnchor = document.createComment(`/hot: ${componentName}`);
+            if (hydrateRange) {
+                hydrateRange.start.parentNode.insertBefore(startAnchor, hydrateRange.start.nextSibling);
+                hydrateRange.end.parentNode.insertBefore(endAnchor, hydrateRange.end);
+            } else {
+                fragment.insertBefore(startAnchor, fragment.firstChild);
+                fragment.appendChild(endAnchor);
+            }
+            // 热重载的重新挂载不属于 init，校验失败时照常显示错误；预渲染的范围只在首次挂载时接管
+            const { previousSignalValues, rejectOnIntegrityError, hydrateRange: hydratedRange, ...restMountOptions } = mountOptions;
+            _registerHotInstance(originalAbsoluteUrl, {
+                startAnchor,
+                endAnchor,
+                hotRecord,
+                mountArgs: [componentFile, initialProps, eventHandlers, componentNameSuggestion, slotsDataFromParent, baseResolutionUrlOverride, restMountOptions],
+            });
+        }
+        // 注水的节点已在原位，无需插入
+        const instanceNodes = hydrateRange ? _nodesBetween(hydrateRange.start, hydrateRange.end) : Array.from(fragment.childNodes);
+        if (isPlaceholder && !hydrateRange) {
             const parent = targetElement.parentNode;
             if (parent) {
                 parent.insertBefore(fragment, targetElement);
                 parent.removeChild(targetElement);
             }
-        } else {
+        } else if (!hydrateRange) {
             cleanupAndRemoveNode(targetElement.firstChild);
             targetElement.innerHTML = "";
             targetElement.appendChild(fragment);
         }
-        if (mountedRootNode && effectsForThisComponent.length > 0) {
-            componentEffectsRegistry.set(mountedRootNode, new Set(effectsForThisComponent));
+        // 根元素自身可能已登记了清理函数 (如 .outside 监听)，合并而不是覆盖
+        if (mountedRootNode) registerNodeCleanup(mountedRootNode, stopComponentEffects);
+        if (mountedRootNode) {
+            componentInstanceRegistry.set(mountedRootNode, errorNode);
+            errorNode.isMounted = true;
         }
-        if (mountedRootNode && componentScope && typeof componentScope.onMount === "function") {
-            try {
-                await componentScope.onMount();
-            } catch (error) {
-                console.error(`核心错误：[${componentName}] 执行 onMount 钩子时出错:`, error);
+        // 同一个 key 已有实例在显示时 (例如 n-for 中的多个相同组件)，新实例不缓存
+        const keptEntry =
+            keepAliveCacheKey !== null && mountedRootNode && !keepAliveController.destroyed && !keepAliveController.cache.has(keepAliveCacheKey)
+                ? _registerKeptInstance(keepAliveController, keepAliveCacheKey, { name: componentName, url: originalAbsoluteUrl, rootNode: mountedRootNode, nodes: instanceNodes, errorNode })
+                : null;
+        const runMountHooks = async () => {
+            if (mountedRootNode && componentScope && typeof componentScope.onMount === "function") {
+                try {
+                    await componentScope.onMount();
+                } catch (error) {
+                    handleError(error, { type: "hook", component: componentName, message: `核心错误：[${componentName}] 执行 onMount 钩子时出错:` }, errorNode);
+                }
             }
-        }
+            if (mountedRootNode && errorNode.isMounted) await _runLifecycleHooks(errorNode, "mounted");
+            if (keptEntry && keptEntry.active) _callKeepAliveHooks(keptEntry.nodes, "onActivated");
+        };
+        // 位于等待中的 <suspense> 内容里时节点还不在文档中，挂载钩子推迟到内容插入之后
+        const pendingSuspense = _findPendingSuspense(parentErrorChain);
+        if (pendingSuspense) pendingSuspense.pendingMountHooks.push(runMountHooks);
+        else await runMountHooks();
         if (mountedRootNode && componentScope && typeof componentScope.onUnmount === "function") {
             componentCleanupRegistry.set(mountedRootNode, componentScope.onUnmount);
         }
         return mountedRootNode;
     } catch (error) {
-        console.error(`核心错误：挂载组件 ${componentName} (源文件: ${originalAbsoluteUrl}) 失败:`, error);
-        if (targetElement instanceof Element && !isPlaceholder) {
+        // 已创建的 effect 不再有归属节点，直接停止
+        stopComponentEffects();
+        if (mountOptions.rejectOnIntegrityError && error && error.name === "IntegrityError") throw error;
+        const handled = handleError(error, { type: "mount", component: componentName, url: originalAbsoluteUrl, message: `核心错误：挂载组件 ${componentName} (源文件: ${originalAbsoluteUrl}) 失败:` }, parentErrorChain);
+        if (handled) {
+            if (isPlaceholder && targetElement.parentNode) targetElement.parentNode.removeChild(targetElement);
+        } else if (targetElement instanceof Element && !isPlaceholder && !hydrateRange) {
             targetElement.innerHTML = `<p style="color:red;">组件 ${componentName} (源: ${originalAbsoluteUrl}) 加载或渲染失败。详情请查看控制台。</p>`;
         } else if (isPlaceholder && targetElement.parentNode) {
             const errorNode = document.createTextNode(` [组件 ${componentName} (源: ${originalAbsoluteUrl}) 渲染错误，详见控制台] `);
@@ -940,8 +3681,683 @@ async function mountComponent(componentFile, targetSelectorOrElement, initialPro
     }
 }
 
+// ===================================================================
+// 开发热重载：文件监听脚本 (scripts/dev-server.js) 通过 SSE 推送变更的文件，
+// 核心使对应缓存失效，并原地重新挂载受影响的组件实例
+// ===================================================================
+const _hotReloadState = {
+    enabled: false,
+    eventSource: null,
+    instances: new Map(), // 组件原始 URL -> Set<实例记录>
+    importers: new Map(), // NJS 原始 URL -> Set<导入它的组件或 NJS 的原始 URL>
+    queue: Promise.resolve(),
+};
+
+// 子组件的"原始 URL"可能带有版本参数 v，热重载按去掉版本参数后的地址识别文件
+function _getHotKey(url) {
+    try {
+        const urlObj = new URL(url);
+        urlObj.searchParams.delete("v");
+        return urlObj.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+function _addHotDependency(njsOriginalUrl, importerOriginalUrl) {
+    if (!importerOriginalUrl) return;
+    const key = _getHotKey(njsOriginalUrl);
+    if (!_hotReloadState.importers.has(key)) _hotReloadState.importers.set(key, new Set());
+    _hotReloadState.importers.get(key).add(_getHotKey(importerOriginalUrl));
+}
+
+function _registerHotInstance(originalUrl, record) {
+    const key = _getHotKey(originalUrl);
+    record.originalUrl = originalUrl;
+    if (!_hotReloadState.instances.has(key)) _hotReloadState.instances.set(key, new Set());
+    _hotReloadState.instances.get(key).add(record);
+}
+
+/**
+ * 按创建顺序把旧实例的 Signal 值带到新实例。值的类型不同 (例如脚本改动后顺序变了) 时放弃恢复，使用新的初始值。
+ */
+function _createHotSignalRecorder(hotRecord) {
+    return (signal, initialValue) => {
+        const index = hotRecord.signals.push(signal) - 1;
+        // previousSignalValues 可以是数组，也可以是服务端渲染序列化出的 { 下标: 值 } 稀疏对象
+        if (!Object.prototype.hasOwnProperty.call(hotRecord.previousSignalValues, index)) return initialValue;
+        const previousValue = hotRecord.previousSignalValues[index];
+        const kindOf = (v) => (v === null || v === undefined ? "empty" : Array.isArray(v) ? "array" : typeof v);
+        if (kindOf(initialValue) !== "empty" && kindOf(previousValue) !== kindOf(initialValue)) return initialValue;
+        return previousValue;
+    };
+}
+
+// 丢弃某个文件的文本缓存，下次使用时重新获取
+function _dropCachedText(hotKey) {
+    for (const [versionedUrl, entry] of componentCache.entries()) {
+        if (entry && _getHotKey(entry.originalUrl) === hotKey) componentCache.delete(versionedUrl);
+    }
+    if (window.__NUE_PRELOADED_DATA__ && typeof window.__NUE_PRELOADED_DATA__ === "object") {
+        Object.keys(window.__NUE_PRELOADED_DATA__).forEach((url) => {
+            if (_getHotKey(url) === hotKey) delete window.__NUE_PRELOADED_DATA__[url];
+        });
+    }
+}
+
+function _replaceInjectedStyles(css, originalComponentUrl, scopeAttr) {
+    const existing = document.getElementById(_getStyleElementId(originalComponentUrl));
+    if (existing) existing.parentNode.removeChild(existing);
+    injectStyles(css, originalComponentUrl, scopeAttr);
+}
+
+/**
+ * 用新代码重新挂载一个实例：在原位置插入占位符，清理旧节点 (会触发 onUnmount)，再以相同参数挂载。
+ */
+async function _remountHotInstance(hotKey, record) {
+    const { startAnchor, endAnchor, hotRecord, mountArgs } = record;
+    _hotReloadState.instances.get(hotKey)?.delete(record);
+    const parent = startAnchor.parentNode;
+    if (!parent || !startAnchor.isConnected) return;
+    const previousSignalValues = hotRecord.signals.map((signal) => signal());
+    const placeholder = document.createComment(`hot-reload: ${hotKey}`);
+    parent.insertBefore(placeholder, startAnchor);
+    let node = startAnchor;
+    // 被替换的实例即使位于 <keep-alive> 中也要真正销毁
+    _keepAliveBypassDepth++;
+    try {
+        while (node) {
+            const next = node.nextSibling;
+            cleanupAndRemoveNode(node);
+            if (node === endAnchor) break;
+            node = next;
+        }
+    } finally {
+        _keepAliveBypassDepth--;
+    }
+    const [componentFile, initialProps, eventHandlers, nameSuggestion, slotsData, baseUrlOverride, mountOptions] = mountArgs;
+    await mountComponent(componentFile, placeholder, initialProps, eventHandlers, nameSuggestion, slotsData, baseUrlOverride, { ...mountOptions, previousSignalValues });
+}
+
+/**
+ * 处理一个 .nue 文件的变更。
+ * @returns {Promise<boolean>} 是否需要重新挂载实例；只有样式变化时直接替换 <style> 并返回 false。
+ */
+async function _hotUpdateComponent(hotKey) {
+    // 同一个文件可能以不同的"原始 URL"挂载过，样式和缓存条目要逐一更新
+    const mountedUrls = new Set(Array.from(_hotReloadState.instances.get(hotKey) || [], (record) => record.originalUrl));
+    const oldEntry = Array.from(componentCache.values()).find((entry) => entry && entry.structure && _getHotKey(entry.originalUrl) === hotKey);
+    const oldStructure = oldEntry ? oldEntry.structure : null;
+    _dropCachedText(hotKey);
+    let needsRemount = !oldStructure;
+    for (const originalUrl of mountedUrls) {
+        const { versionedUrl } = getVersionedAndOriginalUrls(originalUrl, null);
+        const { structure } = await loadComponentEntry(versionedUrl, originalUrl);
+        const scopeAttr = structure.styleScoped ? getScopeAttributeName(originalUrl) : null;
+        if (!oldStructure || oldStructure.style !== structure.style || oldStructure.styleScoped !== structure.styleScoped) {
+            _replaceInjectedStyles(structure.style, originalUrl, scopeAttr);
+        }
+        if (oldStructure && ["template", "script", "propsScript", "styleScoped"].some((key) => oldStructure[key] !== structure[key])) {
+            needsRemount = true;
+        }
+    }
+    return needsRemount;
+}
+
+// 使 NJS 模块及依赖它的 NJS 模块失效，收集需要重新挂载的组件
+function _invalidateNjsModule(hotKey, affectedComponents, visited = new Set()) {
+    if (visited.has(hotKey)) return;
+    visited.add(hotKey);
+    _dropCachedText(hotKey);
+    Array.from(njsModuleExecutionCache.keys()).forEach((versionedUrl) => {
+        if (_getHotKey(versionedUrl) === hotKey) njsModuleExecutionCache.delete(versionedUrl);
+    });
+    (_hotReloadState.importers.get(hotKey) || new Set()).forEach((importerUrl) => {
+        if (/\.njs$/i.test(new URL(importerUrl).pathname)) {
+            _invalidateNjsModule(importerUrl, affectedComponents, visited);
+        } else {
+            affectedComponents.add(importerUrl);
+        }
+    });
+}
+
+async function _applyHotUpdate(files) {
+    const componentsToRemount = new Set();
+    for (const file of files) {
+        const originalUrl = _getHotKey(resolveUrl(file, null));
+        const pathname = new URL(originalUrl).pathname;
+        if (/\.nue$/i.test(pathname)) {
+            if (!_hotReloadState.instances.has(originalUrl)) {
+                _dropCachedText(originalUrl);
+            } else if (await _hotUpdateComponent(originalUrl)) {
+                componentsToRemount.add(originalUrl);
+            }
+            console.log(`[热重载] ${file} 已更新`);
+        } else if (/\.njs$/i.test(pathname)) {
+            _invalidateNjsModule(originalUrl, componentsToRemount);
+            console.log(`[热重载] ${file} 已更新`);
+        } else if (/\.json$/i.test(pathname) && originalUrl.startsWith(_getLocaleDirectoryUrl())) {
+            const locale = pathname.substring(pathname.lastIndexOf("/") + 1).replace(/\.json$/i, "");
+            _dropCachedText(originalUrl);
+            if (_i18nMessages.has(locale)) {
+                _i18nMessages.delete(locale);
+                await loadLocaleMessages(locale);
+            }
+            console.log(`[热重载] 语言文件 ${file} 已更新`);
+        } else {
+            // 核心脚本、页面或其他资源无法原地替换
+            console.log(`[热重载] ${file} 已变更，重新加载页面`);
+            window.location.reload();
+            return;
+        }
+    }
+    // 按文档顺序重新挂载：外层实例先重新挂载，其内部的旧实例随之被替换，之后会因为已脱离文档而跳过
+    const records = [];
+    componentsToRemount.forEach((originalUrl) => {
+        (_hotReloadState.instances.get(originalUrl) || new Set()).forEach((record) => {
+            if (record.startAnchor.isConnected) {
+                records.push([originalUrl, record]);
+            } else {
+                _hotReloadState.instances.get(originalUrl).delete(record);
+            }
+        });
+    });
+    records.sort(([, a], [, b]) => (a.startAnchor.compareDocumentPosition(b.startAnchor) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    for (const [originalUrl, record] of records) {
+        await _remountHotInstance(originalUrl, record);
+    }
+}
+
+/**
+ * 应用一组文件变更。变更按调用顺序串行处理。
+ * @param {string|string[]} files - 相对于应用根目录的文件路径，例如 "components/demo.nue"。
+ * @returns {Promise<void>}
+ */
+function hotUpdate(files) {
+    const fileList = (Array.isArray(files) ? files : [files]).filter((f) => typeof f === "string" && f);
+    _hotReloadState.queue = _hotReloadState.queue
+        .then(() => _applyHotUpdate(fileList))
+        .catch((error) => {
+            console.error("核心错误：[热重载] 应用变更失败:", error);
+        });
+    return _hotReloadState.queue;
+}
+
+/**
+ * 开启热重载并连接文件监听脚本的 SSE 端点。
+ * @param {string|boolean} [source=true] - SSE 地址；true 表示使用当前页面同源的 "/__nue_hmr"。
+ */
+function enableHotReload(source = true) {
+    _hotReloadState.enabled = true;
+    if (_hotReloadState.eventSource || source === false) return;
+    if (typeof EventSource !== "function") {
+        console.warn("核心警告：[热重载] 当前环境不支持 EventSource，只能通过 NueCore.hotUpdate() 手动应用变更。");
+        return;
+    }
+    const url = new URL(typeof source === "string" ? source : "/__nue_hmr", window.location.href).href;
+    const eventSource = new EventSource(url);
+    eventSource.addEventListener("open", () => console.log(`[热重载] 已连接 ${url}`));
+    eventSource.addEventListener("change", (event) => {
+        let payload;
+        try {
+            payload = JSON.parse(event.data);
+        } catch (error) {
+            console.warn("核心警告：[热重载] 无法解析变更消息:", event.data);
+            return;
+        }
+        hotUpdate(payload.files || []);
+    });
+    _hotReloadState.eventSource = eventSource;
+}
+
+// ===================================================================
+// 服务端/静态预渲染与注水：scripts/prerender.js 在 jsdom 中调用 renderToString，
+// 页面中的 NueCore.init 发现带 data-nue-ssr 的挂载目标时恢复 Signal 状态并接管已有标记
+// ===================================================================
+const _ssrState = {
+    recording: false,
+    records: new Map(), // 实例路径 -> 组件脚本执行期间创建的 Signal 列表
+    hydrationValues: null, // 实例路径 -> { 下标: 值 }，仅在注水挂载期间存在
+};
+
+// 服务端渲染时，结构性元素 (n-if、n-for、组件、内置组件、<slot>) 渲染出的节点用一对注释标记包住，
+// 注水时据此找到模板中每个结构性元素对应的预渲染范围
+const HYDRATION_START_MARKER = "[";
+const HYDRATION_END_MARKER = "]";
+const _hydrationRanges = new WeakMap(); // 模板元素 -> { start, end } 它接管的预渲染范围
+const _hydratedChildLists = new WeakMap(); // 沿用的预渲染元素 -> 代替其子节点编译的节点列表
+
+function _isStructuralElement(element) {
+    // 被 n-if 收入条件链的分支在服务端编译前就已移除
+    if (element.hasAttribute("n-else") || element.hasAttribute("n-else-if")) return false;
+    const tagName = element.tagName.toLowerCase();
+    if (element.hasAttribute("n-if") || element.hasAttribute("n-for") || tagName === "slot" || builtInComponents[tagName]) return true;
+    return tagName.includes("-") && !window.customElements.get(tagName);
+}
+
+// 处理器能否沿用范围内的预渲染节点；不能的 (n-for、<suspense> 等) 在注水时清空范围重新渲染
+function _acceptsHydrationRange(element) {
+    if (element.hasAttribute("n-if")) return true;
+    if (element.hasAttribute("n-for")) return false;
+    const tagName = element.tagName.toLowerCase();
+    return builtInComponents[tagName] ? tagName === "router-view" : true;
+}
+
+function _isHydrationMarker(node, data) {
+    return node.nodeType === Node.COMMENT_NODE && (data === undefined ? node.data === HYDRATION_START_MARKER || node.data === HYDRATION_END_MARKER : node.data === data);
+}
+
+// 服务端渲染：在结构性元素被处理器替换之前，用标记包住它的位置
+function _markHydrationRange(element) {
+    if (!element.parentNode) return;
+    element.parentNode.insertBefore(document.createComment(HYDRATION_START_MARKER), element);
+    element.parentNode.insertBefore(document.createComment(HYDRATION_END_MARKER), element.nextSibling);
+}
+
+function _nodesBetween(start, end) {
+    const nodes = [];
+    for (let node = start.nextSibling; node && node !== end; node = node.nextSibling) nodes.push(node);
+    return nodes;
+}
+
+/**
+ * 取出处理器要接管的预渲染范围 (只能取一次)。没有时返回 null，处理器照常渲染。
+ * 接管后范围两端的标记由调用方移除或替换 (见 _adoptHydrationRange)。
+ * @param {Element} element - 模板中的结构性元素。
+ * @returns {{ start: Comment, end: Comment }|null}
+ */
+function _takeHydrationRange(element) {
+    const range = _hydrationRanges.get(element) || null;
+    if (range) _hydrationRanges.delete(element);
+    return range;
+}
+
+function _removeHydrationMarkers(range) {
+    [range.start, range.end].forEach((marker) => marker.parentNode && marker.parentNode.removeChild(marker));
+}
+
+/**
+ * 用处理器自己的首尾注释换掉范围两端的标记。服务端渲染时处理器插入的同样一对注释紧贴在标记内侧，一并移除。
+ */
+function _adoptHydrationRange(range, startAnchor, endAnchor) {
+    range.start.parentNode.replaceChild(startAnchor, range.start);
+    range.end.parentNode.replaceChild(endAnchor, range.end);
+    const serverStart = startAnchor.nextSibling;
+    if (serverStart !== endAnchor && serverStart.nodeType === Node.COMMENT_NODE) serverStart.parentNode.removeChild(serverStart);
+    const serverEnd = endAnchor.previousSibling;
+    if (serverEnd !== startAnchor && serverEnd.nodeType === Node.COMMENT_NODE) serverEnd.parentNode.removeChild(serverEnd);
+}
+
+// 与 handleNIf 相同的规则：紧随 n-if 的 n-else-if / n-else 兄弟元素，中间只能有空白文本和注释
+function _collectConditionalBranches(element) {
+    const branches = [];
+    for (let sibling = element.nextSibling; sibling; sibling = sibling.nextSibling) {
+        if (sibling.nodeType === Node.ELEMENT_NODE) {
+            const isElse = sibling.hasAttribute("n-else");
+            if (!isElse && !sibling.hasAttribute("n-else-if")) break;
+            branches.push(sibling);
+            if (isElse) break;
+        } else if (sibling.nodeType !== Node.COMMENT_NODE && !(sibling.nodeType === Node.TEXT_NODE && !sibling.nodeValue.trim())) {
+            break;
+        }
+    }
+    return branches;
+}
+
+function _adoptTemplateAttributes(templateElement, element) {
+    Array.from(element.attributes).forEach((attr) => {
+        if (!templateElement.hasAttribute(attr.name)) element.removeAttribute(attr.name);
+    });
+    // 克隆 Attr 节点而不是 setAttribute，"@click" 这类名称不能通过 setAttribute 设置
+    Array.from(templateElement.attributes).forEach((attr) => element.setAttributeNode(attr.cloneNode(true)));
+}
+
+/**
+ * 让一组尚未编译的模板节点接管对应的预渲染节点，之后编译返回的节点即可完成注水：
+ * - 普通元素沿用预渲染的元素，换上模板中的属性 (指令、绑定) 后由编译重新建立绑定，子节点递归处理；
+ * - 文本节点换成模板中的文本，编译时重新拆分插值；
+ * - 结构性元素放到预渲染范围之前，由对应的处理器接管范围 (见 _takeHydrationRange)，不支持的则清空范围重新渲染；
+ * - 对不上的节点按模板重新渲染，多余的预渲染节点被移除。
+ * @param {Node[]} templateNodes - 模板节点，顺序即渲染顺序。
+ * @param {Node} parent - 预渲染节点的父节点。
+ * @param {Node[]} existingNodes - 预渲染节点。
+ * @param {Node|null} after - 新节点从这个节点之后开始插入；null 表示父节点的开头。
+ * @param {string} label - 用于日志的组件名称。
+ * @returns {Node[]} 需要编译的节点。
+ */
+function _claimHydrationNodes(templateNodes, parent, existingNodes, after, label) {
+    const nodesToCompile = [];
+    const movedBranches = new Set();
+    let cursor = 0;
+    let lastPlaced = after;
+    let mismatched = false;
+    const place = (node) => {
+        parent.insertBefore(node, lastPlaced ? lastPlaced.nextSibling : parent.firstChild);
+        lastPlaced = node;
+    };
+    const reuse = (node) => {
+        cursor++;
+        lastPlaced = node;
+    };
+    for (const templateNode of templateNodes) {
+        if (movedBranches.has(templateNode)) continue;
+        const existing = existingNodes[cursor];
+        if (templateNode.nodeType === Node.TEXT_NODE) {
+            // 插值结果为空时服务端没有输出文本节点
+            if (existing && existing.nodeType === Node.TEXT_NODE) {
+                parent.replaceChild(templateNode, existing);
+                reuse(templateNode);
+            } else {
+                place(templateNode);
+            }
+            nodesToCompile.push(templateNode);
+        } else if (templateNode.nodeType !== Node.ELEMENT_NODE) {
+            if (existing && existing.nodeType === templateNode.nodeType && !_isHydrationMarker(existing)) reuse(existing);
+            else place(templateNode);
+        } else if (templateNode.hasAttribute("n-else") || templateNode.hasAttribute("n-else-if")) {
+            // 前面没有 n-if 的分支，交给编译报告错误
+            place(templateNode);
+            nodesToCompile.push(templateNode);
+        } else if (_isStructuralElement(templateNode)) {
+            let endIndex = -1;
+            if (existing && _isHydrationMarker(existing, HYDRATION_START_MARKER)) {
+                let depth = 0;
+                for (let i = cursor; i < existingNodes.length && endIndex === -1; i++) {
+                    if (_isHydrationMarker(existingNodes[i], HYDRATION_START_MARKER)) depth++;
+                    else if (_isHydrationMarker(existingNodes[i], HYDRATION_END_MARKER) && --depth === 0) endIndex = i;
+                }
+            }
+            // n-if 的其余分支要紧跟在它后面，handleNIf 才能收入条件链
+            const branches = templateNode.hasAttribute("n-if") ? _collectConditionalBranches(templateNode) : [];
+            place(templateNode);
+            branches.forEach((branch) => {
+                movedBranches.add(branch);
+                place(branch);
+            });
+            nodesToCompile.push(templateNode);
+            if (endIndex === -1) {
+                mismatched = true;
+                continue;
+            }
+            const rangeNodes = existingNodes.slice(cursor, endIndex + 1);
+            cursor = endIndex + 1;
+            if (_acceptsHydrationRange(templateNode)) {
+                _hydrationRanges.set(templateNode, { start: rangeNodes[0], end: rangeNodes[rangeNodes.length - 1] });
+                lastPlaced = rangeNodes[rangeNodes.length - 1];
+            } else {
+                rangeNodes.forEach((node) => parent.removeChild(node));
+            }
+        } else if (existing && existing.nodeType === Node.ELEMENT_NODE && existing.tagName === templateNode.tagName) {
+            _adoptTemplateAttributes(templateNode, existing);
+            _hydratedChildLists.set(existing, _claimHydrationNodes(Array.from(templateNode.childNodes), existing, Array.from(existing.childNodes), null, label));
+            reuse(existing);
+            nodesToCompile.push(existing);
+        } else {
+            mismatched = true;
+            place(templateNode);
+            nodesToCompile.push(templateNode);
+        }
+    }
+    existingNodes.slice(cursor).forEach((node) => {
+        if (!(node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim())) mismatched = true;
+        if (node.parentNode === parent) parent.removeChild(node);
+    });
+    if (mismatched) console.warn(`核心警告：[${label}] 预渲染的标记与模板不一致，不一致的部分已重新渲染。请确认服务端与客户端的初始状态相同。`);
+    return nodesToCompile;
+}
+
+// 插槽内容由声明它的父组件提供，却在宿主组件渲染 <slot> 时才编译，那时父组件的编号顺序已无法保证；
+// 编译插槽内容的同步阶段改为在宿主为这次插槽渲染预留的路径下编号
+let _currentInstanceKeyContext = null;
+
+/**
+ * 为即将挂载的组件实例预留在组件树中的路径。必须在模板编译的同步阶段调用，
+ * 服务端渲染与注水时同一个实例才能得到相同的路径。
+ * @param {object} scope - 组件标签所在的作用域。
+ * @param {string} componentName - 组件名称。
+ * @returns {string}
+ */
+function _reserveInstanceKey(scope, componentName) {
+    const keyContext = _currentInstanceKeyContext;
+    let owner = keyContext && scope && (keyContext.scope === scope || Object.prototype.isPrototypeOf.call(keyContext.scope, scope)) ? keyContext : null;
+    if (!owner) {
+        owner = scope ? scope[ERROR_SCOPE_KEY] : null;
+        while (owner && !owner.effects) owner = owner.parent;
+    }
+    return owner ? `${owner.key}/${componentName}:${owner.childCount++}` : `/${componentName}:0`;
+}
+
+/**
+ * 在宿主组件为插槽渲染预留的路径下同步执行 fn (通常是开始编译插槽内容)。
+ * @param {object} hostScope - 渲染 <slot> 的组件作用域。
+ * @param {string} slotName - 插槽名。
+ * @param {object} slotScope - 插槽内容的作用域。
+ * @param {Function} fn
+ */
+function _runInSlotKeyContext(hostScope, slotName, slotScope, fn) {
+    let host = hostScope ? hostScope[ERROR_SCOPE_KEY] : null;
+    while (host && !host.effects) host = host.parent;
+    const previousContext = _currentInstanceKeyContext;
+    _currentInstanceKeyContext = host ? { key: `${host.key}/#${slotName}:${host.childCount++}`, childCount: 0, scope: slotScope } : null;
+    try {
+        return fn();
+    } finally {
+        _currentInstanceKeyContext = previousContext;
+    }
+}
+
+/**
+ * 把 init 的通用选项 (版本号、调度方式、国际化、路由) 应用到核心配置。
+ * @returns {Promise[]} 挂载前需要等待的任务。
+ */
+function _applyAppOptions(appVersion, options) {
+    if (appVersion && typeof appVersion === "string" && appVersion.trim()) {
+        NueCoreConfig.appVersion = appVersion.trim();
+    } else {
+        NueCoreConfig.appVersion = null;
+        if (appVersion !== undefined) {
+            console.warn(`核心警告：提供的应用版本号无效，组件将不带版本参数加载，localStorage 缓存将不基于版本。`);
+        }
+    }
+    if (options.scheduler === "sync" || options.scheduler === "microtask") {
+        NueCoreConfig.scheduler = options.scheduler;
+    } else if (options.scheduler !== undefined) {
+        console.warn(`核心警告：未知的 scheduler 选项 "${options.scheduler}"，将使用 "sync"。`);
+        NueCoreConfig.scheduler = "sync";
+    }
+    if (options.csp !== undefined) NueCoreConfig.csp = !!options.csp;
+    const readyTasks = [];
+    // 清单签名必须在加载任何组件之前验证通过
+    if (options.integrity !== undefined) {
+        const integrityReady = _configureIntegrity(options.integrity);
+        if (integrityReady) readyTasks.push(integrityReady);
+    }
+    // 路由的 base 决定相对资源的解析基准，必须在加载语言文件之前设置
+    if (options.router) configureRouterMode(options.router);
+    _i18nConfig.appRootUrl = _getAppRootUrl(!!options.router);
+    if (options.i18n) {
+        const { locale, fallbackLocale, path } = options.i18n;
+        if (typeof path === "string") _i18nConfig.path = path.endsWith("/") ? path : `${path}/`;
+        if (fallbackLocale !== undefined) _i18nConfig.fallbackLocale = fallbackLocale;
+        // 先加载语言文件再挂载，避免首屏闪现翻译键
+        readyTasks.push(setLocale(locale || _i18nConfig.fallbackLocale));
+    }
+    if (options.router && options.router.routes) {
+        readyTasks.push(createRouter(options.router).isReady());
+    }
+    return readyTasks;
+}
+
+/**
+ * 把组件渲染为 HTML 字符串，并收集可序列化的 Signal 状态。需要 DOM 环境 (浏览器或 jsdom 等)。
+ * @param {string} rootComponentFile - 根组件文件路径。
+ * @param {string} [appVersion] - 应用版本号。
+ * @param {object} [initialProps] - 传给根组件的 Props。
+ * @param {object} [options] - 与 init 相同的 scheduler、i18n、router 选项。
+ * @param {number} [options.settle=0] - 根组件挂载完成后再等待的毫秒数，用于 <suspense> 等不阻塞挂载的异步内容。
+ * @returns {Promise<{ html: string, styles: string, state: object }>}
+ *     html 是根组件的标记，其中的注释标记供注水时定位组件、条件分支和插槽的范围；
+ *     styles 是组件样式的 <style> 标签；state 交给页面作为 window.__NUE_SSR_STATE__。
+ */
+async function renderToString(rootComponentFile, appVersion, initialProps = {}, options = {}) {
+    await Promise.all(_applyAppOptions(appVersion, options));
+    const container = document.createElement("div");
+    _ssrState.recording = true;
+    _ssrState.records = new Map();
+    try {
+        await mountComponent(rootComponentFile, container, initialProps);
+        if (options.settle > 0) await new Promise((resolve) => setTimeout(resolve, options.settle));
+    } finally {
+        _ssrState.recording = false;
+    }
+    const signals = {};
+    _ssrState.records.forEach((signalList, key) => {
+        const values = {};
+        signalList.forEach((signal, index) => {
+            // 只保留能经 JSON 往返的值，其余的在客户端使用脚本中的初始值
+            try {
+                const json = JSON.stringify(snapshot(signal()));
+                if (json !== undefined) values[index] = JSON.parse(json);
+            } catch (e) {
+                // 循环引用等无法序列化的值
+            }
+        });
+        if (Object.keys(values).length > 0) signals[key] = values;
+    });
+    _ssrState.records = new Map();
+    const styles = Array.from(document.querySelectorAll('style[id^="nono-style-"]'))
+        .map((style) => style.outerHTML)
+        .join("\n");
+    return { html: container.innerHTML, styles, state: { props: snapshot(initialProps), signals } };
+}
+
+/**
+ * 注水挂载：按服务端的 Signal 状态恢复组件，原位接管预渲染的节点 (见 _claimHydrationNodes)，
+ * 元素不会被替换，输入框的内容、焦点和滚动位置得以保留；与模板对不上的部分才重新渲染。
+ */
+async function _hydrateRoot(targetElement, rootComponentFile, initialProps, ssrState) {
+    const hydrateRange = { start: document.createComment(HYDRATION_START_MARKER), end: document.createComment(HYDRATION_END_MARKER) };
+    targetElement.insertBefore(hydrateRange.start, targetElement.firstChild);
+    targetElement.appendChild(hydrateRange.end);
+    _ssrState.hydrationValues = (ssrState && ssrState.signals) || {};
+    let rootNode;
+    try {
+        rootNode = await mountComponent(rootComponentFile, targetElement, initialProps, {}, undefined, {}, undefined, { rejectOnIntegrityError: true, hydrateRange });
+    } finally {
+        _ssrState.hydrationValues = null;
+        _removeHydrationMarkers(hydrateRange);
+    }
+    if (rootNode) {
+        targetElement.removeAttribute("data-nue-ssr");
+    } else {
+        console.error("核心错误：注水挂载失败，保留预渲染的内容。");
+    }
+    return rootNode;
+}
+
+// ===================================================================
+// 开发者工具：面板实现在 nono-devtools.js 中，首次打开时按需加载
+// ===================================================================
+const _coreScriptUrl = document.currentScript && document.currentScript.src ? document.currentScript.src : null;
+let _devtoolsLoading = null;
+
+// 提供给 nono-devtools.js 的内部接口
+const _devtoolsApi = {
+    /**
+     * 遍历 root 下的 DOM，返回已挂载组件组成的树：[{ name, url, scope, activeEffects, children }]。
+     * 父子关系取自实例上下文的 parent 链，因此插槽内容中的组件仍归属于声明它的父组件。
+     */
+    getComponentTree(root = document.body) {
+        const instances = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT | NodeFilter.SHOW_TEXT);
+        for (let node = walker.currentNode; node; node = walker.nextNode()) {
+            const instance = componentInstanceRegistry.get(node);
+            if (instance && !instances.includes(instance)) instances.push(instance);
+        }
+        const treeNodes = new Map(
+            instances.map((instance) => [
+                instance,
+                {
+                    name: instance.label,
+                    url: instance.url,
+                    scope: instance.scope,
+                    activeEffects: Array.from(instance.effects).filter((effect) => effect.isActive).length,
+                    children: [],
+                },
+            ]),
+        );
+        const roots = [];
+        instances.forEach((instance) => {
+            let parent = instance.parent;
+            while (parent && !treeNodes.has(parent)) parent = parent.parent;
+            (parent ? treeNodes.get(parent).children : roots).push(treeNodes.get(instance));
+        });
+        return roots;
+    },
+    setHook(hook) {
+        _devtoolsHook = hook || null;
+    },
+    snapshot,
+    isStore,
+};
+
+/**
+ * 打开 (或关闭) 页面内的开发者工具面板。
+ * @param {boolean} [open=true] - false 表示关闭面板并停止记录。
+ * @returns {Promise<void>}
+ */
+function devtools(open = true) {
+    if (!open) {
+        if (window.NueDevtools) window.NueDevtools.close();
+        return Promise.resolve();
+    }
+    if (!_devtoolsLoading) {
+        _devtoolsLoading = window.NueDevtools
+            ? Promise.resolve()
+            : new Promise((resolve, reject) => {
+                  const script = document.createElement("script");
+                  const src = new URL("nono-devtools.js", _coreScriptUrl || new URL("assets/nono-js/", window.location.href).href);
+                  if (NueCoreConfig.appVersion) src.searchParams.set("v", NueCoreConfig.appVersion);
+                  script.src = src.href;
+                  script.onload = resolve;
+                  script.onerror = () => reject(new Error(`加载 ${src.href} 失败`));
+                  document.head.appendChild(script);
+              });
+        _devtoolsLoading.catch((error) => {
+            _devtoolsLoading = null;
+            console.error("核心错误：无法加载开发者工具:", error);
+        });
+    }
+    return _devtoolsLoading.then(
+        () => window.NueDevtools.open(_devtoolsApi),
+        () => {},
+    );
+}
+
 window.NueCore = {
-    init: function (targetId, rootComponentFile, appVersion, initialProps = {}) {
+    /**
+     * 启动应用。
+     * @param {string} targetId - 挂载目标元素的 ID。
+     * @param {string} rootComponentFile - 根组件文件路径。
+     * @param {string} [appVersion] - 应用版本号，用于资源 URL 的缓存控制。
+     * @param {object} [initialProps] - 传给根组件的 Props。
+     * @param {object} [options] - 其他选项。
+     * @param {"sync"|"microtask"} [options.scheduler="sync"] - effect 调度方式。
+     * @param {object} [options.i18n] - 国际化配置：{ locale, fallbackLocale = "zh", path = "lang/" }，相对路径按应用根目录解析。
+     * @param {object} [options.router] - 路由配置：{ mode, base, routes }，详见 createRouter；不提供 routes 时只设置地址模式。
+     * @param {boolean|string} [options.hotReload] - 开发热重载：true 或 SSE 地址。未提供时使用开发服务器注入的 window.__NUE_HOT_RELOAD__。
+     * @param {boolean} [options.devtools] - 是否打开开发者工具面板，也可以之后调用 NueCore.devtools()。
+     * @param {boolean} [options.hydrate=true] - 挂载目标带有 data-nue-ssr (由 scripts/prerender.js 生成) 时，
+     *     使用 window.__NUE_SSR_STATE__ 注水；Props 默认取自预渲染时的 Props。传 false 则总是重新渲染。
+     * @param {boolean} [options.csp=false] - 不使用 new Function 的 CSP 安全模式：模板表达式由内置解释器求值，
+     *     组件和 NJS 脚本取自 scripts/build.js --compile 生成的预编译文件，该文件需在 init 之前引入。
+     * @param {boolean|object} [options.integrity] - 完整性校验：true 按构建包中的 SHA-256 清单校验每个组件和 NJS，
+     *     与 csp 一起使用时还校验预编译脚本 (构建时需同时使用 --compile)；
+     *     { publicKey } 还要求清单带有该 ECDSA P-256 公钥 (PEM/SPKI 或 JWK) 可验证的签名。清单无效或根组件 (包括它的脚本直接导入的 NJS)
+     *     校验失败时返回的 Promise 被拒绝；子组件的资源校验失败时抛出 name 为 "IntegrityError" 的错误，
+     *     可由 onError、<error-boundary> 或 NueCore.onError 捕获。
+     */
+    init: function (targetId, rootComponentFile, appVersion, initialProps = {}, options = {}) {
         if (typeof targetId !== "string" || !targetId.trim()) {
             console.error("核心错误：NueCore.init() 的第一个参数 targetId 必须是一个有效的非空字符串 (DOM 元素 ID)。");
             return Promise.resolve(null);
@@ -950,24 +4366,41 @@ window.NueCore = {
             console.error("核心错误：NueCore.init() 的第二个参数 rootComponentFile 必须是一个有效的非空字符串 (组件路径)。");
             return Promise.resolve(null);
         }
-        if (appVersion && typeof appVersion === "string" && appVersion.trim()) {
-            NueCoreConfig.appVersion = appVersion.trim();
-        } else {
-            NueCoreConfig.appVersion = null;
-            if (appVersion !== undefined) {
-                console.warn(`核心警告：提供的应用版本号无效，组件将不带版本参数加载，localStorage 缓存将不基于版本。`);
-            }
-        }
+        const readyTasks = _applyAppOptions(appVersion, options);
+        const hotReload = options.hotReload !== undefined ? options.hotReload : window.__NUE_HOT_RELOAD__;
+        if (hotReload) enableHotReload(hotReload);
         const targetSelector = `#${targetId}`;
-        return mountComponent(rootComponentFile, targetSelector, initialProps);
+        const targetElement = document.getElementById(targetId);
+        const shouldHydrate = options.hydrate !== false && targetElement && targetElement.hasAttribute("data-nue-ssr");
+        const ssrState = shouldHydrate ? window.__NUE_SSR_STATE__ || {} : null;
+        return Promise.all(readyTasks)
+            .then(() =>
+                shouldHydrate
+                    ? _hydrateRoot(targetElement, rootComponentFile, { ...(ssrState.props || {}), ...initialProps }, ssrState)
+                    : mountComponent(rootComponentFile, targetSelector, initialProps, {}, undefined, {}, undefined, { rejectOnIntegrityError: true }),
+            )
+            .then((rootNode) => {
+                // 挂载完成后再打开面板，初始的组件树才是完整的
+                if (options.devtools) devtools(true);
+                return rootNode;
+            });
     },
-    exportDependencyBundle: function (filename = "nue-data-bundle.js") {
+    /**
+     * 把已加载的组件和 NJS 原文导出为预加载包，附带未签名的 SHA-256 清单。需要签名时请使用 scripts/build.js --sign-key。
+     * @param {string} [filename="nue-data-bundle.js"] - 下载的文件名。
+     * @returns {Promise<void>}
+     */
+    exportDependencyBundle: async function (filename = "nue-data-bundle.js") {
         const dataToExport = {};
+        const manifestFiles = {};
         let exportedCount = 0;
         for (const [versionedUrl, cacheEntry] of componentCache.entries()) {
-            if (cacheEntry && cacheEntry.originalUrl && typeof cacheEntry.text === "string") {
-                const confusedText = nueSimpleTransform(cacheEntry.text, __NUE_CONFUSION_KEY__);
-                dataToExport[cacheEntry.originalUrl] = confusedText;
+            // 来自构建包的条目只有预解析结构，没有原文可导出
+            if (cacheEntry && cacheEntry.originalUrl && typeof cacheEntry.text === "string" && cacheEntry.text) {
+                const key = _getAppRelativePath(cacheEntry.originalUrl) || cacheEntry.originalUrl.replace(/[?#].*$/, "");
+                const hash = await _sha256Hex(cacheEntry.text);
+                dataToExport[key] = { hash: hash.slice(0, 12), text: cacheEntry.text };
+                manifestFiles[key] = hash;
                 exportedCount++;
             } else {
                 console.warn(`[NueCore.exportDependencyBundle] 跳过缓存条目 (版本化URL: ${versionedUrl})，因为它缺少 originalUrl 或文本内容。`);
@@ -981,7 +4414,7 @@ window.NueCore = {
             }
             return;
         }
-        const dataString = `window.__NUE_PRELOADED_DATA__ = ${JSON.stringify(dataToExport, null, "  ")};`;
+        const dataString = `window.__NUE_PRELOADED_DATA__ = ${JSON.stringify(dataToExport, null, "  ")};\nwindow.__NUE_INTEGRITY_MANIFEST__ = ${JSON.stringify({ algorithm: "SHA-256", files: manifestFiles }, null, "  ")};\n`;
         const blob = new Blob([dataString], { type: "application/javascript;charset=utf-8" });
         const link = document.createElement("a");
         link.href = URL.createObjectURL(blob);
@@ -990,13 +4423,32 @@ window.NueCore = {
         link.click();
         document.body.removeChild(link);
         URL.revokeObjectURL(link.href);
-        console.log(`[NueCore.exportDependencyBundle] ${exportedCount} 个资源的混淆数据已导出为 ${filename}。\n请将此文件包含在您的 HTML 中，并置于 nono-core.js 脚本之前。`);
+        console.log(`[NueCore.exportDependencyBundle] ${exportedCount} 个资源已导出为 ${filename}。\n请将此文件包含在您的 HTML 中，并置于 NueCore.init 调用之前。`);
     },
     createSignal,
     createEffect,
+    createComputed,
+    createStore,
+    snapshot,
+    reconcile,
     createWatch,
+    batch,
+    nextTick,
+    i18n: {
+        t,
+        setLocale,
+        getLocale,
+        loadLocaleMessages,
+    },
     createUrlWatch,
     navigateTo,
+    onError: onGlobalError,
+    hotUpdate,
+    devtools,
+    renderToString,
+    createRouter,
+    configureRouterMode,
+    router: nueRouter,
     compileNode,
     cleanupAndRemoveNode,
 };
@@ -0,0 +1,240 @@
+// ===================================================================
+// 开发者工具面板 (NueDevtools)
+// 由 NueCore.devtools() 或 init 的 devtools 选项按需加载，不要在生产页面中直接引入。
+// 面板本身只用原生 DOM 实现，不创建 Signal 或 effect，不会出现在它自己的记录里。
+// ===================================================================
+
+const DEVTOOLS_MAX_TIMELINE_ENTRIES = 200;
+
+window.NueDevtools = {
+    api: null,
+    panel: null,
+    activeTab: "components",
+    selectedInstanceScope: null,
+    timeline: [],
+    recording: true,
+    startTime: 0,
+    // Signal 或 Store -> "组件名.变量名"，在遍历组件作用域时收集，用于给匿名 Signal 和 Store 命名
+    signalNames: new WeakMap(),
+    renderTimer: null,
+
+    /**
+     * 打开面板并开始记录 Signal 和 Store 的写入。重复调用只会把面板重新显示出来。
+     * @param {object} api - 核心提供的内部接口 (getComponentTree, setHook, snapshot, isStore)。
+     */
+    open(api) {
+        this.api = api;
+        if (!this.panel) {
+            this.startTime = performance.now();
+            this.injectStyles();
+            this.panel = this.createPanel();
+            document.body.appendChild(this.panel);
+        }
+        this.panel.style.display = "";
+        api.setHook({
+            onSignalWrite: (signal, oldValue, newValue, subscribers) => this.recordWrite(this.getSignalLabel(signal), oldValue, newValue, subscribers),
+            onStoreWrite: (store, key, oldValue, newValue, subscribers, owner) => this.recordWrite(this.getStoreLabel(store, key, owner), oldValue, newValue, subscribers),
+        });
+        this.render();
+    },
+
+    close() {
+        if (this.api) this.api.setHook(null);
+        if (this.panel) this.panel.style.display = "none";
+    },
+
+    recordWrite(label, oldValue, newValue, subscribers) {
+        if (!this.recording) return;
+        this.timeline.unshift({
+            time: performance.now() - this.startTime,
+            label,
+            oldValue: this.preview(oldValue),
+            newValue: this.preview(newValue),
+            effects: subscribers.filter((effect) => effect.isActive).map((effect) => (effect.__is_computed_observer__ ? "computed" : `#${effect.id} ${effect.owner ? effect.owner.label : "?"}`)),
+        });
+        if (this.timeline.length > DEVTOOLS_MAX_TIMELINE_ENTRIES) this.timeline.length = DEVTOOLS_MAX_TIMELINE_ENTRIES;
+        // 写入可能非常频繁，合并到一次重绘
+        if (this.activeTab === "timeline" && !this.renderTimer) {
+            this.renderTimer = setTimeout(() => {
+                this.renderTimer = null;
+                this.render();
+            }, 100);
+        }
+    },
+
+    getSignalLabel(signal) {
+        return signal.__name__ || this.signalNames.get(signal) || `signal#${signal.__id__}`;
+    },
+
+    // 作用域中直接暴露的 Store 以变量名标注，其余 (包括嵌套对象) 标注为创建它的组件
+    getStoreLabel(store, key, owner) {
+        const storeLabel = this.signalNames.get(store) || `${owner ? owner.label : "?"}.store`;
+        return Array.isArray(store) && /^\d+$/.test(key) ? `${storeLabel}[${key}]` : `${storeLabel}.${String(key)}`;
+    },
+
+    preview(value, maxLength = 80) {
+        let text;
+        if (typeof value === "function") {
+            text = value.__is_signal__ ? `signal(${this.preview(value(), maxLength)})` : "ƒ";
+        } else if (value === undefined) {
+            text = "undefined";
+        } else if (value instanceof Node) {
+            text = `<${value.nodeName.toLowerCase()}>`;
+        } else {
+            try {
+                text = JSON.stringify(this.api ? this.api.snapshot(value) : value);
+            } catch (e) {
+                text = String(value);
+            }
+            if (text === undefined) text = String(value);
+        }
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    },
+
+    injectStyles() {
+        if (document.getElementById("nue-devtools-style")) return;
+        const style = document.createElement("style");
+        style.id = "nue-devtools-style";
+        style.textContent = `
+#nue-devtools { position: fixed; right: 8px; bottom: 8px; width: 520px; height: 360px; z-index: 2147483647; display: flex; flex-direction: column;
+    background: #1e1f24; color: #d8dae0; font: 12px/1.5 Menlo, Consolas, monospace; border: 1px solid #444; border-radius: 6px; box-shadow: 0 4px 16px rgba(0,0,0,.4); }
+#nue-devtools header { display: flex; gap: 4px; align-items: center; padding: 4px 6px; border-bottom: 1px solid #444; }
+#nue-devtools header strong { margin-right: auto; }
+#nue-devtools button { background: #2d2f36; color: inherit; border: 1px solid #555; border-radius: 3px; font: inherit; padding: 0 6px; cursor: pointer; }
+#nue-devtools button.active { background: #3b5bdb; border-color: #3b5bdb; }
+#nue-devtools .nue-dt-body { flex: 1; display: flex; min-height: 0; }
+#nue-devtools .nue-dt-tree { width: 40%; overflow: auto; border-right: 1px solid #444; padding: 4px 0; }
+#nue-devtools .nue-dt-detail, #nue-devtools .nue-dt-timeline { flex: 1; overflow: auto; padding: 4px 6px; }
+#nue-devtools .nue-dt-row { padding: 0 6px; cursor: pointer; white-space: nowrap; }
+#nue-devtools .nue-dt-row.selected { background: #33363f; }
+#nue-devtools .nue-dt-muted { color: #8b8f99; }
+#nue-devtools .nue-dt-signal { color: #8ce99a; }
+#nue-devtools input { width: 100%; box-sizing: border-box; background: #15161a; color: inherit; border: 1px solid #555; font: inherit; }
+#nue-devtools table { width: 100%; border-collapse: collapse; }
+#nue-devtools td { vertical-align: top; padding: 1px 4px; border-bottom: 1px solid #2d2f36; word-break: break-all; }
+#nue-devtools .nue-dt-entry { border-bottom: 1px solid #2d2f36; padding: 2px 0; }`;
+        document.head.appendChild(style);
+    },
+
+    createElement(tagName, props = {}, children = []) {
+        const element = document.createElement(tagName);
+        Object.entries(props).forEach(([key, value]) => {
+            if (key.startsWith("on")) element.addEventListener(key.slice(2).toLowerCase(), value);
+            else if (key === "className") element.className = value;
+            else if (key === "text") element.textContent = value;
+            else element.setAttribute(key, value);
+        });
+        children.forEach((child) => child && element.appendChild(typeof child === "string" ? document.createTextNode(child) : child));
+        return element;
+    },
+
+    createPanel() {
+        return this.createElement("div", { id: "nue-devtools" });
+    },
+
+    render() {
+        if (!this.panel) return;
+        const h = this.createElement.bind(this);
+        const tabButton = (tab, text) => h("button", { className: this.activeTab === tab ? "active" : "", text, onClick: () => ((this.activeTab = tab), this.render()) });
+        const header = h("header", {}, [
+            h("strong", { text: "Nue Devtools" }),
+            tabButton("components", "组件"),
+            tabButton("timeline", `时间线 (${this.timeline.length})`),
+            h("button", { text: "刷新", onClick: () => this.render() }),
+            h("button", { text: "×", title: "关闭", onClick: () => this.close() }),
+        ]);
+        const body = this.activeTab === "components" ? this.renderComponents() : this.renderTimeline();
+        this.panel.replaceChildren(header, body);
+    },
+
+    renderComponents() {
+        const h = this.createElement.bind(this);
+        const tree = this.api.getComponentTree();
+        const treeElement = h("div", { className: "nue-dt-tree" });
+        let selected = null;
+        const visit = (node, depth) => {
+            this.collectSignalNames(node);
+            if (node.scope && node.scope === this.selectedInstanceScope) selected = node;
+            treeElement.appendChild(
+                h("div", { className: `nue-dt-row${selected === node ? " selected" : ""}`, style: `padding-left: ${6 + depth * 12}px`, title: node.url, onClick: () => ((this.selectedInstanceScope = node.scope), this.render()) }, [
+                    `<${node.name}> `,
+                    h("span", { className: "nue-dt-muted", text: `${node.activeEffects} effects` }),
+                ]),
+            );
+            node.children.forEach((child) => visit(child, depth + 1));
+        };
+        tree.forEach((node) => visit(node, 0));
+        if (tree.length === 0) treeElement.appendChild(h("div", { className: "nue-dt-row nue-dt-muted", text: "没有已挂载的组件" }));
+        return h("div", { className: "nue-dt-body" }, [treeElement, this.renderDetail(selected)]);
+    },
+
+    collectSignalNames(node) {
+        if (!node.scope) return;
+        Object.keys(node.scope).forEach((key) => {
+            const value = node.scope[key];
+            const isNamedValue = (typeof value === "function" && value.__is_signal__) || this.api.isStore(value);
+            if (isNamedValue && !this.signalNames.has(value)) {
+                this.signalNames.set(value, `${node.name}.${key}`);
+            }
+        });
+    },
+
+    renderDetail(node) {
+        const h = this.createElement.bind(this);
+        if (!node) return h("div", { className: "nue-dt-detail nue-dt-muted", text: "选择左侧的组件查看作用域" });
+        const rows = Object.keys(node.scope || {})
+            .filter((key) => !key.startsWith("$") && key !== "refs")
+            .map((key) => {
+                const value = node.scope[key];
+                const isSignal = typeof value === "function" && value.__is_signal__;
+                const valueCell = isSignal ? this.createSignalEditor(value) : h("span", { className: "nue-dt-muted", text: this.preview(value) });
+                return h("tr", {}, [h("td", { className: isSignal ? "nue-dt-signal" : "", text: value && value.__name__ ? `${key} (${value.__name__})` : key }), h("td", {}, [valueCell])]);
+            });
+        return h("div", { className: "nue-dt-detail" }, [
+            h("div", {}, [h("strong", { text: `<${node.name}>` })]),
+            h("div", { className: "nue-dt-muted", text: node.url }),
+            h("div", { className: "nue-dt-muted", text: `活动 effect：${node.activeEffects}` }),
+            h("table", {}, rows),
+        ]);
+    },
+
+    // Signal 的值以 JSON 编辑，按回车或失去焦点时 (即 change 事件) 写回一次；无法解析为 JSON 时按字符串写入
+    // 没有 setter 的计算 Signal 只读，只显示当前值
+    createSignalEditor(signal) {
+        if (signal.__is_computed__ && !signal.__is_writable__) {
+            return this.createElement("span", { title: "只读的计算 Signal", text: this.preview(signal(), Infinity) });
+        }
+        const input = this.createElement("input", { value: this.preview(signal(), Infinity) });
+        const commit = () => {
+            let newValue;
+            try {
+                newValue = JSON.parse(input.value);
+            } catch (e) {
+                newValue = input.value;
+            }
+            signal(newValue);
+            this.render();
+        };
+        input.addEventListener("change", commit);
+        return input;
+    },
+
+    renderTimeline() {
+        const h = this.createElement.bind(this);
+        const toolbar = h("div", {}, [
+            h("button", { text: this.recording ? "暂停记录" : "继续记录", onClick: () => ((this.recording = !this.recording), this.render()) }),
+            " ",
+            h("button", { text: "清空", onClick: () => ((this.timeline = []), this.render()) }),
+        ]);
+        const entries = this.timeline.map((entry) =>
+            h("div", { className: "nue-dt-entry" }, [
+                h("span", { className: "nue-dt-muted", text: `${(entry.time / 1000).toFixed(3)}s ` }),
+                h("span", { className: "nue-dt-signal", text: entry.label }),
+                `: ${entry.oldValue} → ${entry.newValue}`,
+                h("div", { className: "nue-dt-muted", text: entry.effects.length ? `触发 ${entry.effects.length} 个：${entry.effects.join(", ")}` : "未触发 effect" }),
+            ]),
+        );
+        if (entries.length === 0) entries.push(h("div", { className: "nue-dt-muted", text: "还没有 Signal 或 Store 写入记录" }));
+        return h("div", { className: "nue-dt-timeline" }, [toolbar, ...entries]);
+    },
+};
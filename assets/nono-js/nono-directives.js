@@ -4,6 +4,647 @@
 
 // 添加一个缓存来存储已编译的表达式函数
 const expressionCache = new Map();
+const assignmentCache = new Map();
+// 已被前面的 n-if 收入条件链的 n-else-if / n-else 元素
+const claimedConditionalBranches = new WeakSet();
+
+// ===================================================================
+// CSP 安全模式：表达式解析器与解释器
+// init 传入 csp: true 后，模板表达式不再经过 new Function / with，而是解析为 AST
+// (同样按表达式字符串缓存) 再解释执行。支持模板表达式常用的语法子集：
+// 字面量 (含模板字符串)、数组和对象字面量、成员访问与可选链、函数调用、new、
+// 一元/二元/逻辑/条件运算、赋值 (含复合赋值与 ++/--)、逗号表达式，以及箭头函数。
+// ===================================================================
+
+// 按长度从长到短排列，保证优先匹配最长的运算符
+const EXPRESSION_PUNCTUATORS = [">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=", "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>", "+", "-", "*", "/", "%", "<", ">", "=", "!", "~", "?", ":", ".", ",", ";", "(", ")", "[", "]", "{", "}", "&", "|", "^"];
+const EXPRESSION_ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "|=", "^=", "&&=", "||=", "??="]);
+const EXPRESSION_BINARY_PRECEDENCE = {
+    "??": 1,
+    "||": 2,
+    "&&": 3,
+    "|": 4,
+    "^": 5,
+    "&": 6,
+    "==": 7,
+    "!=": 7,
+    "===": 7,
+    "!==": 7,
+    "<": 8,
+    ">": 8,
+    "<=": 8,
+    ">=": 8,
+    instanceof: 8,
+    in: 8,
+    "<<": 9,
+    ">>": 9,
+    ">>>": 9,
+    "+": 10,
+    "-": 10,
+    "*": 11,
+    "/": 11,
+    "%": 11,
+    "**": 12,
+};
+// 可选链短路时在成员/调用节点之间传递的标记，由外层的 Chain 节点转换为 undefined
+const OPTIONAL_CHAIN_SHORT_CIRCUIT = Symbol("optional-chain-short-circuit");
+
+function _readStringLiteral(source, start) {
+    const quote = source[start];
+    let value = "";
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+        if (source[i] === "\\") {
+            const escaped = _readEscapeSequence(source, i);
+            value += escaped.value;
+            i = escaped.end;
+        } else {
+            value += source[i++];
+        }
+    }
+    if (i >= source.length) throw new SyntaxError("字符串字面量没有结束");
+    return { value, end: i + 1 };
+}
+
+function _readEscapeSequence(source, start) {
+    const ch = source[start + 1];
+    const simple = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+    if (ch in simple && !(ch === "0" && /[0-9]/.test(source[start + 2] || ""))) return { value: simple[ch], end: start + 2 };
+    if (ch === "x") return { value: String.fromCharCode(parseInt(source.substr(start + 2, 2), 16)), end: start + 4 };
+    if (ch === "u") {
+        if (source[start + 2] === "{") {
+            const close = source.indexOf("}", start + 3);
+            return { value: String.fromCodePoint(parseInt(source.slice(start + 3, close), 16)), end: close + 1 };
+        }
+        return { value: String.fromCharCode(parseInt(source.substr(start + 2, 4), 16)), end: start + 6 };
+    }
+    if (ch === "\r" && source[start + 2] === "\n") return { value: "", end: start + 3 };
+    if (ch === "\n" || ch === "\r") return { value: "", end: start + 2 };
+    return { value: ch, end: start + 2 };
+}
+
+// 读取模板字符串，${} 中的源码交给 parseExpression 递归解析
+function _readTemplateLiteral(source, start) {
+    const quasis = [];
+    const expressions = [];
+    let current = "";
+    let i = start + 1;
+    while (i < source.length && source[i] !== "`") {
+        if (source[i] === "\\") {
+            const escaped = _readEscapeSequence(source, i);
+            current += escaped.value;
+            i = escaped.end;
+        } else if (source[i] === "$" && source[i + 1] === "{") {
+            const end = _findClosingBrace(source, i + 2);
+            quasis.push(current);
+            current = "";
+            expressions.push(parseExpression(source.slice(i + 2, end)));
+            i = end + 1;
+        } else {
+            current += source[i++];
+        }
+    }
+    if (i >= source.length) throw new SyntaxError("模板字符串没有结束");
+    quasis.push(current);
+    return { quasis, expressions, end: i + 1 };
+}
+
+function _findClosingBrace(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '"' || ch === "'") {
+            i = _readStringLiteral(source, i).end - 1;
+        } else if (ch === "`") {
+            i = _readTemplateLiteral(source, i).end - 1;
+        } else if (ch === "{") {
+            depth++;
+        } else if (ch === "}") {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    throw new SyntaxError("模板字符串中的 ${ 没有结束");
+}
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1] || ""))) {
+            const match = /^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+            const text = match[0].replace(/_/g, "");
+            tokens.push({ type: "number", value: /^0[oObB]/.test(text) ? parseInt(text.slice(2), /^0[bB]/.test(text) ? 2 : 8) : Number(text) });
+            i += match[0].length;
+            continue;
+        }
+        if (/[A-Za-z_$\u00a0-\uffff]/.test(ch)) {
+            const match = /^[A-Za-z_$\u00a0-\uffff][\w$\u00a0-\uffff]*/.exec(source.slice(i));
+            tokens.push({ type: "name", value: match[0] });
+            i += match[0].length;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            const { value, end } = _readStringLiteral(source, i);
+            tokens.push({ type: "string", value });
+            i = end;
+            continue;
+        }
+        if (ch === "`") {
+            const { quasis, expressions, end } = _readTemplateLiteral(source, i);
+            tokens.push({ type: "template", quasis, expressions });
+            i = end;
+            continue;
+        }
+        const punctuator = EXPRESSION_PUNCTUATORS.find((p) => source.startsWith(p, i));
+        if (!punctuator) throw new SyntaxError(`无法识别的字符 "${ch}"`);
+        // a?.5:1 中的 ?. 不是可选链
+        if (punctuator === "?." && /[0-9]/.test(source[i + 2] || "")) {
+            tokens.push({ type: "punct", value: "?" });
+            i += 1;
+            continue;
+        }
+        tokens.push({ type: "punct", value: punctuator });
+        i += punctuator.length;
+    }
+    tokens.push({ type: "eof", value: "" });
+    return tokens;
+}
+
+/**
+ * 把表达式源码解析为 AST。
+ * @param {string} source - 表达式源码。
+ * @returns {object} AST 根节点。
+ * @throws {SyntaxError} 语法不受支持或有误时。
+ */
+function parseExpression(source) {
+    const tokens = tokenizeExpression(source);
+    let position = 0;
+    const peek = (offset = 0) => tokens[position + offset];
+    const next = () => tokens[position++];
+    const isPunct = (value, token = peek()) => token.type === "punct" && token.value === value;
+    const isName = (value, token = peek()) => token.type === "name" && token.value === value;
+    const expectPunct = (value) => {
+        if (!isPunct(value)) throw new SyntaxError(`期望 "${value}"，实际是 "${peek().value || "表达式结尾"}"`);
+        return next();
+    };
+
+    const parseSequence = () => {
+        const first = parseAssignment();
+        if (!isPunct(",")) return first;
+        const expressions = [first];
+        while (isPunct(",")) {
+            next();
+            expressions.push(parseAssignment());
+        }
+        return { type: "Sequence", expressions };
+    };
+
+    // 判断当前位置的 ( 是否开始一个箭头函数的参数列表
+    const isArrowAhead = () => {
+        let depth = 0;
+        for (let i = position; i < tokens.length; i++) {
+            if (isPunct("(", tokens[i])) depth++;
+            else if (isPunct(")", tokens[i]) && --depth === 0) return isPunct("=>", tokens[i + 1]);
+            else if (tokens[i].type === "eof") return false;
+        }
+        return false;
+    };
+
+    const parseArrow = () => {
+        const params = [];
+        if (peek().type === "name") {
+            params.push({ name: next().value });
+        } else {
+            expectPunct("(");
+            while (!isPunct(")")) {
+                const rest = isPunct("...") ? (next(), true) : false;
+                const nameToken = next();
+                if (nameToken.type !== "name") throw new SyntaxError("箭头函数参数只支持简单标识符");
+                const param = { name: nameToken.value, rest };
+                if (isPunct("=")) {
+                    next();
+                    param.defaultValue = parseAssignment();
+                }
+                params.push(param);
+                if (!isPunct(")")) expectPunct(",");
+            }
+            next();
+        }
+        expectPunct("=>");
+        if (!isPunct("{")) return { type: "Arrow", params, body: parseAssignment() };
+        // 块体只支持表达式语句和 return
+        next();
+        const statements = [];
+        while (!isPunct("}")) {
+            if (isPunct(";")) {
+                next();
+                continue;
+            }
+            if (isName("return")) {
+                next();
+                statements.push({ type: "Return", argument: isPunct(";") || isPunct("}") ? null : parseSequence() });
+            } else {
+                statements.push(parseSequence());
+            }
+        }
+        next();
+        return { type: "Arrow", params, body: { type: "Block", statements } };
+    };
+
+    const parseAssignment = () => {
+        if ((peek().type === "name" && isPunct("=>", peek(1))) || (isPunct("(") && isArrowAhead())) return parseArrow();
+        const left = parseConditional();
+        const token = peek();
+        if (token.type === "punct" && EXPRESSION_ASSIGNMENT_OPERATORS.has(token.value)) {
+            if (left.type !== "Identifier" && left.type !== "Member") throw new SyntaxError("赋值目标无效");
+            next();
+            return { type: "Assign", operator: token.value, target: left, value: parseAssignment() };
+        }
+        return left;
+    };
+
+    const parseConditional = () => {
+        const test = parseBinary(1);
+        if (!isPunct("?")) return test;
+        next();
+        const consequent = parseAssignment();
+        expectPunct(":");
+        return { type: "Conditional", test, consequent, alternate: parseAssignment() };
+    };
+
+    const parseBinary = (minPrecedence) => {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const operator = token.type === "punct" || isName("in") || isName("instanceof") ? token.value : null;
+            const precedence = EXPRESSION_BINARY_PRECEDENCE[operator];
+            if (!precedence || precedence < minPrecedence) return left;
+            next();
+            // ** 是右结合的
+            const right = parseBinary(operator === "**" ? precedence : precedence + 1);
+            left = { type: operator === "&&" || operator === "||" || operator === "??" ? "Logical" : "Binary", operator, left, right };
+        }
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if ((token.type === "punct" && ["!", "-", "+", "~"].includes(token.value)) || isName("typeof") || isName("void") || isName("delete")) {
+            next();
+            return { type: "Unary", operator: token.value, argument: parseUnary() };
+        }
+        if (isPunct("++") || isPunct("--")) {
+            next();
+            return { type: "Update", operator: token.value, prefix: true, argument: parseUnary() };
+        }
+        const expression = parseCallMember();
+        if (isPunct("++") || isPunct("--")) {
+            return { type: "Update", operator: next().value, prefix: false, argument: expression };
+        }
+        return expression;
+    };
+
+    const parseArguments = () => {
+        expectPunct("(");
+        const args = [];
+        while (!isPunct(")")) {
+            args.push(isPunct("...") ? (next(), { type: "Spread", argument: parseAssignment() }) : parseAssignment());
+            if (!isPunct(")")) expectPunct(",");
+        }
+        next();
+        return args;
+    };
+
+    const parsePropertyName = () => {
+        const token = next();
+        if (token.type !== "name") throw new SyntaxError(`"." 之后需要属性名`);
+        return { type: "Literal", value: token.value };
+    };
+
+    const parseCallMember = () => {
+        let expression;
+        if (isName("new")) {
+            next();
+            // new 的目标只取成员访问部分，紧随其后的参数列表属于 new 本身
+            let callee = parsePrimary();
+            while (isPunct(".") || isPunct("[")) {
+                if (next().value === ".") {
+                    callee = { type: "Member", object: callee, property: parsePropertyName(), optional: false };
+                } else {
+                    callee = { type: "Member", object: callee, property: parseSequence(), optional: false };
+                    expectPunct("]");
+                }
+            }
+            expression = { type: "New", callee, arguments: isPunct("(") ? parseArguments() : [] };
+        } else {
+            expression = parsePrimary();
+        }
+        let hasOptional = false;
+        for (;;) {
+            if (isPunct(".")) {
+                next();
+                expression = { type: "Member", object: expression, property: parsePropertyName(), optional: false };
+            } else if (isPunct("?.")) {
+                next();
+                hasOptional = true;
+                if (isPunct("(")) {
+                    expression = { type: "Call", callee: expression, arguments: parseArguments(), optional: true };
+                } else if (isPunct("[")) {
+                    next();
+                    expression = { type: "Member", object: expression, property: parseSequence(), optional: true };
+                    expectPunct("]");
+                } else {
+                    expression = { type: "Member", object: expression, property: parsePropertyName(), optional: true };
+                }
+            } else if (isPunct("[")) {
+                next();
+                expression = { type: "Member", object: expression, property: parseSequence(), optional: false };
+                expectPunct("]");
+            } else if (isPunct("(")) {
+                expression = { type: "Call", callee: expression, arguments: parseArguments(), optional: false };
+            } else {
+                break;
+            }
+        }
+        return hasOptional ? { type: "Chain", expression } : expression;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token.type === "number" || token.type === "string") return { type: "Literal", value: token.value };
+        if (token.type === "template") return { type: "Template", quasis: token.quasis, expressions: token.expressions };
+        if (token.type === "name") {
+            if (token.value === "true") return { type: "Literal", value: true };
+            if (token.value === "false") return { type: "Literal", value: false };
+            if (token.value === "null") return { type: "Literal", value: null };
+            if (token.value === "this") return { type: "This" };
+            return { type: "Identifier", name: token.value };
+        }
+        if (isPunct("(", token)) {
+            const expression = parseSequence();
+            expectPunct(")");
+            return expression;
+        }
+        if (isPunct("[", token)) {
+            const elements = [];
+            while (!isPunct("]")) {
+                elements.push(isPunct("...") ? (next(), { type: "Spread", argument: parseAssignment() }) : parseAssignment());
+                if (!isPunct("]")) expectPunct(",");
+            }
+            next();
+            return { type: "Array", elements };
+        }
+        if (isPunct("{", token)) {
+            const properties = [];
+            while (!isPunct("}")) {
+                if (isPunct("...")) {
+                    next();
+                    properties.push({ spread: true, value: parseAssignment() });
+                } else {
+                    const keyToken = next();
+                    let key;
+                    let shorthand = false;
+                    if (isPunct("[", keyToken)) {
+                        key = parseAssignment();
+                        expectPunct("]");
+                    } else if (keyToken.type === "name" || keyToken.type === "string" || keyToken.type === "number") {
+                        key = { type: "Literal", value: String(keyToken.value) };
+                        shorthand = keyToken.type === "name" && (isPunct(",") || isPunct("}"));
+                    } else {
+                        throw new SyntaxError(`对象字面量中无效的键 "${keyToken.value}"`);
+                    }
+                    if (shorthand) {
+                        properties.push({ key, value: { type: "Identifier", name: keyToken.value } });
+                    } else {
+                        expectPunct(":");
+                        properties.push({ key, value: parseAssignment() });
+                    }
+                }
+                if (!isPunct("}")) expectPunct(",");
+            }
+            next();
+            return { type: "Object", properties };
+        }
+        throw new SyntaxError(`意外的 "${token.value || "表达式结尾"}"`);
+    };
+
+    const ast = parseSequence();
+    if (peek().type !== "eof") throw new SyntaxError(`意外的 "${peek().value}"`);
+    return ast;
+}
+
+// 与 with(scope) 的查找顺序一致：箭头函数参数 -> 作用域 (含原型链) -> 全局对象
+function _lookupIdentifier(name, scope, locals) {
+    for (let env = locals; env; env = env.parent) {
+        if (name in env.vars) return { value: env.vars[name], env, thisArg: undefined };
+    }
+    if (name in scope) return { value: scope[name], thisArg: scope };
+    if (name in globalThis) return { value: globalThis[name], thisArg: undefined };
+    return null;
+}
+
+function _applyBinaryOperator(operator, left, right) {
+    switch (operator) {
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        case "/": return left / right;
+        case "%": return left % right;
+        case "**": return left ** right;
+        case "==": return left == right;
+        case "!=": return left != right;
+        case "===": return left === right;
+        case "!==": return left !== right;
+        case "<": return left < right;
+        case ">": return left > right;
+        case "<=": return left <= right;
+        case ">=": return left >= right;
+        case "<<": return left << right;
+        case ">>": return left >> right;
+        case ">>>": return left >>> right;
+        case "&": return left & right;
+        case "|": return left | right;
+        case "^": return left ^ right;
+        case "in": return left in right;
+        case "instanceof": return left instanceof right;
+    }
+    throw new SyntaxError(`不支持的运算符 "${operator}"`);
+}
+
+function _evaluateList(nodes, scope, locals) {
+    const values = [];
+    nodes.forEach((node) => {
+        if (node.type === "Spread") values.push(...interpretExpression(node.argument, scope, locals));
+        else values.push(interpretExpression(node, scope, locals));
+    });
+    return values;
+}
+
+// "." 之后的属性名和 [] 中的字面量都解析为 Literal 节点，直接取值即可
+function _memberKey(node, scope, locals) {
+    return node.property.type === "Literal" ? node.property.value : interpretExpression(node.property, scope, locals);
+}
+
+function _assignToTarget(target, value, scope, locals) {
+    if (target.type === "Identifier") {
+        for (let env = locals; env; env = env.parent) {
+            if (target.name in env.vars) return (env.vars[target.name] = value);
+        }
+        if (target.name in scope) return (scope[target.name] = value);
+        return (globalThis[target.name] = value);
+    }
+    const object = interpretExpression(target.object, scope, locals);
+    object[_memberKey(target, scope, locals)] = value;
+    return value;
+}
+
+/**
+ * 解释执行 parseExpression 生成的 AST。
+ * @param {object} node - AST 节点。
+ * @param {object} scope - 表达式作用域 (可以是自动解包 Signal 的 Proxy)。
+ * @param {object|null} locals - 箭头函数参数形成的局部环境链：{ vars, parent }。
+ * @returns {*} 表达式的值。
+ */
+function interpretExpression(node, scope, locals = null) {
+    switch (node.type) {
+        case "Literal":
+            return node.value;
+        case "This":
+            return globalThis;
+        case "Identifier": {
+            const found = _lookupIdentifier(node.name, scope, locals);
+            if (!found) throw new ReferenceError(`${node.name} is not defined`);
+            return found.value;
+        }
+        case "Template":
+            return node.quasis.reduce((text, quasi, index) => text + quasi + (index < node.expressions.length ? String(interpretExpression(node.expressions[index], scope, locals)) : ""), "");
+        case "Array":
+            return _evaluateList(node.elements, scope, locals);
+        case "Object": {
+            const result = {};
+            node.properties.forEach((property) => {
+                if (property.spread) Object.assign(result, interpretExpression(property.value, scope, locals));
+                else result[interpretExpression(property.key, scope, locals)] = interpretExpression(property.value, scope, locals);
+            });
+            return result;
+        }
+        case "Chain": {
+            const value = interpretExpression(node.expression, scope, locals);
+            return value === OPTIONAL_CHAIN_SHORT_CIRCUIT ? undefined : value;
+        }
+        case "Member": {
+            const object = interpretExpression(node.object, scope, locals);
+            if (object === OPTIONAL_CHAIN_SHORT_CIRCUIT || (node.optional && (object === null || object === undefined))) return OPTIONAL_CHAIN_SHORT_CIRCUIT;
+            return object[_memberKey(node, scope, locals)];
+        }
+        case "Call": {
+            let fn;
+            let thisArg;
+            if (node.callee.type === "Member") {
+                thisArg = interpretExpression(node.callee.object, scope, locals);
+                if (thisArg === OPTIONAL_CHAIN_SHORT_CIRCUIT || (node.callee.optional && (thisArg === null || thisArg === undefined))) return OPTIONAL_CHAIN_SHORT_CIRCUIT;
+                fn = thisArg[_memberKey(node.callee, scope, locals)];
+            } else if (node.callee.type === "Identifier") {
+                const found = _lookupIdentifier(node.callee.name, scope, locals);
+                if (!found) throw new ReferenceError(`${node.callee.name} is not defined`);
+                fn = found.value;
+                thisArg = found.thisArg;
+            } else {
+                fn = interpretExpression(node.callee, scope, locals);
+                if (fn === OPTIONAL_CHAIN_SHORT_CIRCUIT) return fn;
+            }
+            if (node.optional && (fn === null || fn === undefined)) return OPTIONAL_CHAIN_SHORT_CIRCUIT;
+            if (typeof fn !== "function") throw new TypeError(`${node.callee.name || (node.callee.property && node.callee.property.value) || "表达式"} is not a function`);
+            return fn.apply(thisArg, _evaluateList(node.arguments, scope, locals));
+        }
+        case "New":
+            return Reflect.construct(interpretExpression(node.callee, scope, locals), _evaluateList(node.arguments, scope, locals));
+        case "Unary": {
+            if (node.operator === "typeof" && node.argument.type === "Identifier") {
+                const found = _lookupIdentifier(node.argument.name, scope, locals);
+                return found ? typeof found.value : "undefined";
+            }
+            if (node.operator === "delete") {
+                if (node.argument.type !== "Member") return true;
+                return delete interpretExpression(node.argument.object, scope, locals)[_memberKey(node.argument, scope, locals)];
+            }
+            const value = interpretExpression(node.argument, scope, locals);
+            switch (node.operator) {
+                case "!": return !value;
+                case "-": return -value;
+                case "+": return +value;
+                case "~": return ~value;
+                case "typeof": return typeof value;
+                case "void": return undefined;
+            }
+            break;
+        }
+        case "Update": {
+            const oldValue = Number(interpretExpression(node.argument, scope, locals));
+            const newValue = node.operator === "++" ? oldValue + 1 : oldValue - 1;
+            _assignToTarget(node.argument, newValue, scope, locals);
+            return node.prefix ? newValue : oldValue;
+        }
+        case "Binary":
+            return _applyBinaryOperator(node.operator, interpretExpression(node.left, scope, locals), interpretExpression(node.right, scope, locals));
+        case "Logical": {
+            const left = interpretExpression(node.left, scope, locals);
+            if (node.operator === "&&") return left ? interpretExpression(node.right, scope, locals) : left;
+            if (node.operator === "||") return left ? left : interpretExpression(node.right, scope, locals);
+            return left !== null && left !== undefined ? left : interpretExpression(node.right, scope, locals);
+        }
+        case "Conditional":
+            return interpretExpression(node.test, scope, locals) ? interpretExpression(node.consequent, scope, locals) : interpretExpression(node.alternate, scope, locals);
+        case "Assign": {
+            if (node.operator === "=") return _assignToTarget(node.target, interpretExpression(node.value, scope, locals), scope, locals);
+            const current = interpretExpression(node.target, scope, locals);
+            if (node.operator === "&&=") return current ? _assignToTarget(node.target, interpretExpression(node.value, scope, locals), scope, locals) : current;
+            if (node.operator === "||=") return current ? current : _assignToTarget(node.target, interpretExpression(node.value, scope, locals), scope, locals);
+            if (node.operator === "??=") return current !== null && current !== undefined ? current : _assignToTarget(node.target, interpretExpression(node.value, scope, locals), scope, locals);
+            const result = _applyBinaryOperator(node.operator.slice(0, -1), current, interpretExpression(node.value, scope, locals));
+            return _assignToTarget(node.target, result, scope, locals);
+        }
+        case "Sequence": {
+            let result;
+            node.expressions.forEach((expression) => (result = interpretExpression(expression, scope, locals)));
+            return result;
+        }
+        case "Arrow":
+            return (...args) => {
+                const env = { vars: Object.create(null), parent: locals };
+                node.params.forEach((param, index) => {
+                    if (param.rest) env.vars[param.name] = args.slice(index);
+                    else env.vars[param.name] = args[index] === undefined && param.defaultValue ? interpretExpression(param.defaultValue, scope, env) : args[index];
+                });
+                if (node.body.type !== "Block") return interpretExpression(node.body, scope, env);
+                for (const statement of node.body.statements) {
+                    if (statement.type === "Return") return statement.argument ? interpretExpression(statement.argument, scope, env) : undefined;
+                    interpretExpression(statement, scope, env);
+                }
+                return undefined;
+            };
+    }
+    throw new SyntaxError(`不支持的表达式节点 "${node.type}"`);
+}
+
+/**
+ * CSP 模式下替代 new Function 的编译：返回与原编译结果签名相同的函数。
+ */
+function compileExpressionForCsp(expression) {
+    const ast = parseExpression(expression);
+    return (scope) => interpretExpression(ast, scope, null);
+}
+
+function compileAssignmentForCsp(expression) {
+    const target = parseExpression(expression);
+    if (target.type !== "Identifier" && target.type !== "Member") throw new SyntaxError(`"${expression}" 不是可赋值的表达式`);
+    return (scope, value) => _assignToTarget(target, value, scope, null);
+}
 
 window.NueDirectives = {
     /**
@@ -26,7 +667,8 @@ window.NueDirectives = {
                 // 实现模板中简洁语法 (如 `count` 而非 `scope.count`) 的唯一方式。
                 // 但现在，这个昂贵的 `new Function` 操作对于每个表达式字符串来说，
                 // 在整个应用的生命周期中只会执行一次！
-                compiledFn = new Function("scope", `with(scope) { return (${expression}) }`);
+                // CSP 模式下页面禁止了 eval，改为解析成 AST 后解释执行
+                compiledFn = NueCoreConfig.csp ? compileExpressionForCsp(expression) : new Function("scope", `with(scope) { return (${expression}) }`);
 
                 // 将编译好的函数存入缓存
                 expressionCache.set(expression, compiledFn);
@@ -67,62 +709,154 @@ window.NueDirectives = {
         try {
             return compiledFn(context);
         } catch (error) {
-            // 这里的错误是运行时错误，而不是编译错误
-            console.error(`核心错误：执行表达式 "${expression}" 时出错:`, error);
+            // 这里的错误是运行时错误，而不是编译错误；交给所在组件的错误处理链
+            handleError(error, { type: "expression", expression, message: `核心错误：执行表达式 "${expression}" 时出错:` }, scope ? scope[ERROR_SCOPE_KEY] : null);
             return undefined;
         }
     },
 
+    /**
+     * n-if 以及紧随其后的 n-else-if / n-else 兄弟元素构成一个条件块，共用一对首尾注释。
+     * 条件按顺序求值，只编译并挂载第一个为真的分支；切换分支时用 cleanupAndRemoveNode 清理两个注释之间的全部节点，
+     * 组件、<component> 等编译时会替换掉自身元素的分支也能完整移除。
+     * 分支之间只允许出现空白文本和注释。注水时首次渲染的分支接管服务端渲染的节点。
+     */
     handleNIf(element, expression, scope, compileFn, directiveHandlers, parentComponentName) {
         const placeholder = document.createComment(`n-if: ${expression}`);
-        let isShowing = false;
-        let currentElement = null;
+        const branches = [{ element, expression, attrName: "n-if" }];
+        _collectConditionalBranches(element).forEach((sibling) => {
+            const attrName = sibling.hasAttribute("n-else") ? "n-else" : "n-else-if";
+            branches.push({ element: sibling, expression: attrName === "n-else" ? null : sibling.getAttribute("n-else-if"), attrName });
+            claimedConditionalBranches.add(sibling);
+            sibling.parentNode.removeChild(sibling);
+        });
 
-        element.parentNode.insertBefore(placeholder, element);
-        element.parentNode.removeChild(element);
+        const endAnchor = document.createComment("/n-if");
+        const hydrateRange = _takeHydrationRange(element);
+        if (hydrateRange) {
+            element.parentNode.removeChild(element);
+            _adoptHydrationRange(hydrateRange, placeholder, endAnchor);
+        } else {
+            element.parentNode.insertBefore(placeholder, element);
+            element.parentNode.replaceChild(endAnchor, element);
+        }
 
+        let activeIndex = -1;
+        let isHydrating = !!hydrateRange;
         createEffect(() => {
-            const condition = !!this.evaluateExpression(expression, scope);
-            if (condition && !isShowing) {
-                isShowing = true;
-                const clone = element.cloneNode(true);
-                clone.removeAttribute("n-if");
-                currentElement = clone;
-                placeholder.parentNode.insertBefore(clone, placeholder.nextSibling);
-                compileFn(clone, scope, directiveHandlers, `${parentComponentName} (n-if)`);
-            } else if (!condition && isShowing) {
-                isShowing = false;
-                if (currentElement) {
-                    cleanupAndRemoveNode(currentElement);
-                    currentElement = null;
+            // 找到第一个为真的分支即停止，后面的条件不求值也不被追踪
+            const index = branches.findIndex((branch) => branch.expression === null || !!this.evaluateExpression(branch.expression, scope));
+            if (index === activeIndex && !isHydrating) return;
+            activeIndex = index;
+            const renderedNodes = isHydrating ? _nodesBetween(placeholder, endAnchor) : null;
+            isHydrating = false;
+            // 组件分支在编译时会被替换为渲染出的节点，因此按范围清理而不是只移除克隆的元素
+            if (!renderedNodes || index === -1) {
+                while (placeholder.nextSibling && placeholder.nextSibling !== endAnchor) {
+                    cleanupAndRemoveNode(placeholder.nextSibling);
                 }
             }
+            if (index === -1 || !endAnchor.parentNode) return;
+            const branch = branches[index];
+            const clone = branch.element.cloneNode(true);
+            clone.removeAttribute(branch.attrName);
+            const label = `${parentComponentName} (${branch.attrName})`;
+            if (renderedNodes) {
+                _claimHydrationNodes([clone], placeholder.parentNode, renderedNodes, placeholder, label).forEach((node) => compileFn(node, scope, directiveHandlers, label));
+                return;
+            }
+            endAnchor.parentNode.insertBefore(clone, endAnchor);
+            compileFn(clone, scope, directiveHandlers, label);
         });
     },
 
+    /**
+     * 判断 n-else / n-else-if 元素是否已被前面的 n-if 收入条件链。
+     */
+    isClaimedConditionalBranch(element) {
+        return claimedConditionalBranches.has(element);
+    },
+
+    /**
+     * 把 n-for 的数据源统一为 { value, key, index } 列表。
+     * 数组和其他可迭代对象 (Set、生成器、字符串) 的 key 就是下标；Map 和普通对象的 key 是键；
+     * 整数 n 生成 1..n 的范围；null / undefined 视为空列表。
+     * @param {*} source - n-for 表达式的值。
+     * @returns {Array<{ value: *, key: *, index: number }>}
+     */
+    toForEntries(source) {
+        if (source === null || source === undefined || source === false) return [];
+        if (typeof source === "number") {
+            const length = Number.isInteger(source) && source > 0 ? source : 0;
+            return Array.from({ length }, (_, index) => ({ value: index + 1, key: index, index }));
+        }
+        if (Object.prototype.toString.call(source) === "[object Map]") {
+            return Array.from(source, ([key, value], index) => ({ value, key, index }));
+        }
+        if (Array.isArray(source) || typeof source[Symbol.iterator] === "function") {
+            return Array.from(source, (value, index) => ({ value, key: index, index }));
+        }
+        if (typeof source === "object") {
+            return Object.keys(source).map((key, index) => ({ value: source[key], key, index }));
+        }
+        return [];
+    },
+
     // [REPLACE] 最终优化版: 用这个更健壮、更简单的协调算法替换旧的 handleNFor
+    /**
+     * 列表渲染：`item in list`、`(item, index) in list`、`(value, key, index) in obj`、`n in 10`，`in` 也可以写成 `of`。
+     * 只写一个变量名时下标以 index 暴露。用在 <template> 上时每个条目渲染模板的全部子节点，
+     * 条目的节点由一对注释包围，整体移动和移除。
+     */
     handleNFor(element, expression, scope, compileFn, directiveHandlers, parentComponentName) {
-        const forRegex = /^\s*\(([^,]+),\s*([^)]+)\)\s+in\s+(.+)$|^\s*([^,]+)\s+in\s+(.+)$/;
+        const forRegex = /^\s*(?:\(([^)]*)\)|([a-zA-Z_$][\w$]*))\s+(?:in|of)\s+([\s\S]+)$/;
         const match = expression.match(forRegex);
-        if (!match) {
+        const aliases = match ? (match[1] !== undefined ? match[1] : match[2]).split(",").map((name) => name.trim()) : [];
+        if (!match || aliases.length > 3 || aliases.some((name) => !/^[a-zA-Z_$][\w$]*$/.test(name))) {
             console.error(`指令错误：[${parentComponentName}] n-for 表达式格式无效: "${expression}"`);
             return;
         }
 
-        const [_, itemAndIndex, indexName, listExpr1, itemName, listExpr2] = match;
-        const isTuple = !!itemAndIndex;
-        const itemVarName = isTuple ? itemAndIndex.trim() : itemName.trim();
-        const indexVarName = isTuple ? indexName.trim() : "index";
-        const listExpression = isTuple ? listExpr1.trim() : listExpr2.trim();
+        const [itemVarName, keyVarName = aliases.length === 1 ? "index" : null, indexVarName = null] = aliases;
+        const listExpression = match[3].trim();
+        const isTemplate = element.tagName.toLowerCase() === "template";
 
         const placeholder = document.createComment(`n-for: ${expression}`);
         element.parentNode.insertBefore(placeholder, element);
         element.parentNode.removeChild(element);
 
-        let oldNodesMap = new Map(); // key -> { node, scope }
+        // 条目占用的全部节点：普通元素只有它自己，<template> 条目是两个注释之间 (含) 的所有节点
+        const getEntryNodes = (entry) => {
+            if (!entry.end) return [entry.node];
+            const nodes = [];
+            for (let node = entry.node; node; node = node.nextSibling) {
+                nodes.push(node);
+                if (node === entry.end) break;
+            }
+            return nodes;
+        };
+
+        // 新条目的作用域：条目、键和下标由 Signal 支撑，复用节点时更新它们即可让条目内的绑定重新计算
+        const createEntryScope = (item, itemKey, index) => {
+            const itemSignal = createSignal(item);
+            const keySignal = createSignal(itemKey);
+            const indexSignal = createSignal(index);
+            const childScope = Object.create(scope);
+            Object.defineProperty(childScope, itemVarName, { get: () => itemSignal(), enumerable: true, configurable: true });
+            if (keyVarName) Object.defineProperty(childScope, keyVarName, { get: () => keySignal(), enumerable: true, configurable: true });
+            if (indexVarName) Object.defineProperty(childScope, indexVarName, { get: () => indexSignal(), enumerable: true, configurable: true });
+            return { scope: childScope, itemSignal, keySignal, indexSignal };
+        };
+
+        const keyAttr = element.getAttribute(":key");
+        // 求 :key 用的轻量作用域，每个条目只改写其中的值，不为复用的条目创建 Signal
+        const keyScope = keyAttr ? Object.create(scope) : null;
+        const setKeyScopeValue = (name, value) => name && Object.defineProperty(keyScope, name, { value, writable: true, enumerable: true, configurable: true });
+
+        let oldNodesMap = new Map(); // key -> { node, end, scope, ... }
 
         createEffect(() => {
-            const newList = this.evaluateExpression(listExpression, scope) || [];
+            const newEntries = this.toForEntries(this.evaluateExpression(listExpression, scope));
             const parent = placeholder.parentNode;
             if (!parent) return;
 
@@ -136,14 +870,14 @@ window.NueDirectives = {
             // =================================================================
             // Pass 1: 遍历新列表，进行创建、更新和移动
             // =================================================================
-            for (let i = 0; i < newList.length; i++) {
-                const item = newList[i];
-                const childScope = Object.create(scope);
-                childScope[itemVarName] = item;
-                childScope[indexVarName] = i;
-
-                const keyAttr = element.getAttribute(":key");
-                const key = keyAttr ? this.evaluateExpression(keyAttr, childScope) : i;
+            for (const { value: item, key: itemKey, index: i } of newEntries) {
+                if (keyAttr) {
+                    setKeyScopeValue(itemVarName, item);
+                    setKeyScopeValue(keyVarName, itemKey);
+                    setKeyScopeValue(indexVarName, i);
+                }
+                // 没有 :key 时，数组按下标、对象和 Map 按键复用节点
+                const key = keyAttr ? this.evaluateExpression(keyAttr, keyScope) : itemKey;
 
                 if (key === null || key === undefined) {
                     console.warn(`指令警告：[${parentComponentName}] n-for 中的 key 为 null 或 undefined。这可能导致渲染行为异常。`);
@@ -154,23 +888,42 @@ window.NueDirectives = {
 
                 if (oldEntry) {
                     // --- 情况 A: 节点已存在，需要更新和移动 ---
-                    const { node, scope: oldScope } = oldEntry;
+                    const nodes = getEntryNodes(oldEntry);
 
                     // 1. 更新数据 (scope)
-                    oldScope[itemVarName] = item;
-                    oldScope[indexVarName] = i;
+                    oldEntry.itemSignal(item);
+                    oldEntry.keySignal(itemKey);
+                    oldEntry.indexSignal(i);
 
                     // 2. 移动到正确位置
                     // 如果当前节点不是紧跟在前一个已放置节点的后面，说明它的位置错了，需要移动。
-                    if (node.previousSibling !== lastNode) {
-                        parent.insertBefore(node, lastNode.nextSibling);
+                    if (nodes[0].previousSibling !== lastNode) {
+                        nodes.forEach((node) => {
+                            parent.insertBefore(node, lastNode.nextSibling);
+                            lastNode = node;
+                        });
                     }
 
                     // 3. 更新游标
-                    lastNode = node;
+                    lastNode = nodes[nodes.length - 1];
                     newNodesMap.set(key, oldEntry);
+                } else if (isTemplate) {
+                    // --- 情况 B: 全新的 <template> 条目，插入模板内容并用注释标出范围 ---
+                    const start = document.createComment("n-for item");
+                    const end = document.createComment("/n-for item");
+                    const fragment = element.content.cloneNode(true);
+                    const contentNodes = Array.from(fragment.childNodes);
+                    const reference = lastNode.nextSibling;
+                    parent.insertBefore(start, reference);
+                    parent.insertBefore(fragment, reference);
+                    parent.insertBefore(end, reference);
+                    lastNode = end;
+
+                    const newEntry = { node: start, end, ...createEntryScope(item, itemKey, i) };
+                    newNodesMap.set(key, newEntry);
+                    contentNodes.forEach((node) => compileFn(node, newEntry.scope, directiveHandlers, `${parentComponentName} (n-for item)`));
                 } else {
-                    // --- 情况 B: 节点是全新的，需要创建 ---
+                    // --- 情况 C: 节点是全新的，需要创建 ---
                     const clone = element.cloneNode(true);
                     clone.removeAttribute("n-for");
                     if (keyAttr) clone.removeAttribute(":key");
@@ -182,18 +935,18 @@ window.NueDirectives = {
                     lastNode = clone;
 
                     // 3. 编译新节点并存入 newNodesMap
-                    const newEntry = { node: clone, scope: childScope };
+                    const newEntry = { node: clone, ...createEntryScope(item, itemKey, i) };
                     newNodesMap.set(key, newEntry);
-                    compileFn(clone, childScope, directiveHandlers, `${parentComponentName} (n-for item)`);
+                    compileFn(clone, newEntry.scope, directiveHandlers, `${parentComponentName} (n-for item)`);
                 }
             }
 
             // =================================================================
             // Pass 2: 移除不再需要的旧节点
             // =================================================================
-            for (const [key, { node }] of oldNodesMap.entries()) {
+            for (const [key, entry] of oldNodesMap.entries()) {
                 if (!newKeys.has(key)) {
-                    cleanupAndRemoveNode(node);
+                    getEntryNodes(entry).forEach((node) => cleanupAndRemoveNode(node));
                 }
             }
 
@@ -249,41 +1002,159 @@ window.NueDirectives = {
         });
     },
 
-    handleNModel(element, expression, scope, parentComponentName) {
+    /**
+     * 对可赋值表达式 (如 `form.name`、`list[0].text`) 赋值，编译结果同样缓存。
+     * @param {string} expression - 可赋值的 JS 表达式。
+     * @param {object} scope - 表达式执行的作用域。
+     * @param {*} value - 要写入的值。
+     */
+    assignExpression(expression, scope, value) {
+        let assignFn = assignmentCache.get(expression);
+        if (!assignFn) {
+            try {
+                assignFn = NueCoreConfig.csp ? compileAssignmentForCsp(expression) : new Function("scope", "__value__", `with(scope) { (${expression}) = __value__; }`);
+            } catch (error) {
+                console.error(`核心错误：表达式 "${expression}" 不可赋值:`, error);
+                assignFn = () => {};
+            }
+            assignmentCache.set(expression, assignFn);
+        }
+        try {
+            assignFn(scope, value);
+        } catch (error) {
+            console.error(`核心错误：对表达式 "${expression}" 赋值时出错:`, error);
+        }
+    },
+
+    /**
+     * 为 n-model 创建读写访问器：表达式本身是 Signal 时直接使用，否则把它当作 Store 等响应式对象上的可赋值路径。
+     * 组件上的 n-model 同样通过它读写父组件的数据。
+     * @param {string} expression - n-model 的表达式。
+     * @param {object} scope - 表达式所在的作用域。
+     * @param {string} parentComponentName - 所在组件名，用于日志。
+     * @returns {Function|null} 与 Signal 签名相同的访问器，无法绑定时为 null。
+     */
+    createModelAccessor(expression, scope, parentComponentName) {
         const signal = this.evaluateExpression(expression, scope, false); // 获取 Signal 引用
-        if (!signal || !signal.__is_signal__) {
-            console.error(`指令错误：[${parentComponentName}] n-model 必须绑定到一个 Signal。"${expression}" 不是一个有效的 Signal。`);
+        if (signal && signal.__is_signal__) return signal;
+        if (!/^[a-zA-Z_$][\w$]*(?:\s*(?:\.\s*[a-zA-Z_$][\w$]*|\[[^\]]+\]))+$/.test(expression.trim())) {
+            console.error(`指令错误：[${parentComponentName}] n-model 必须绑定到一个 Signal 或 Store 属性路径。"${expression}" 两者都不是。`);
+            return null;
+        }
+        const self = this;
+        return function modelAccessor(newValue) {
+            if (arguments.length === 0) return self.evaluateExpression(expression, scope);
+            self.assignExpression(expression, scope, newValue);
+            return newValue;
+        };
+    },
+
+    /**
+     * 按 n-model 的修饰符转换写入的值：.trim 去掉首尾空白，.number 转为数字 (无法转换时保留原值)。
+     * @param {*} value - 元素上读到的值。
+     * @param {string[]} modifiers - 修饰符。
+     * @param {boolean} [forceNumber=false] - type="number"/"range" 的输入框总是按数字处理。
+     */
+    castModelValue(value, modifiers, forceNumber = false) {
+        if (typeof value !== "string") return value;
+        let result = modifiers.includes("trim") ? value.trim() : value;
+        if (modifiers.includes("number") || forceNumber) {
+            const number = parseFloat(result);
+            if (!isNaN(number)) result = number;
+        }
+        return result;
+    },
+
+    /**
+     * 双向绑定。支持文本输入框、textarea、单选框、复选框 (绑定数组时为复选组)、<select> (multiple 时绑定数组)
+     * 以及 contenteditable 元素 (读写 textContent)。
+     * 修饰符：.lazy 只在 change (contenteditable 为 blur) 时更新，.number 转为数字，.trim 去掉首尾空白。
+     */
+    handleNModel(element, expression, scope, parentComponentName, modifiers = []) {
+        const signal = this.createModelAccessor(expression, scope, parentComponentName);
+        if (!signal) return;
+
+        const tagName = element.tagName.toLowerCase();
+        const type = (element.getAttribute("type") || "").toLowerCase();
+        const lazy = modifiers.includes("lazy");
+        const forceNumber = tagName === "input" && (type === "number" || type === "range");
+        const cast = (value) => this.castModelValue(value, modifiers, forceNumber);
+        const sameValue = (a, b) => a === b || (a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b));
+
+        if (tagName === "input" && type === "checkbox") {
+            element.addEventListener("change", () => {
+                const current = signal();
+                if (Array.isArray(current)) {
+                    // 复选组：数组中放的是选中项的 value
+                    const optionValue = cast(element.value);
+                    const rest = current.filter((item) => !sameValue(item, optionValue));
+                    signal(element.checked ? [...rest, optionValue] : rest);
+                } else {
+                    signal(element.checked);
+                }
+            });
+            createEffect(() => {
+                const value = signal();
+                element.checked = Array.isArray(value) ? value.some((item) => sameValue(item, cast(element.value))) : !!value;
+            });
             return;
         }
 
-        const updateSignal = (event) => {
-            const target = event.target;
-            let value;
-            if (target.type === "checkbox") {
-                value = target.checked;
-            } else if (target.type === "radio") {
-                if (target.checked) value = target.value;
-                else return; // 如果 radio 未选中，不更新 signal
-            } else {
-                value = target.value;
-            }
-            signal(value);
-        };
+        if (tagName === "input" && type === "radio") {
+            element.addEventListener("change", () => {
+                if (element.checked) signal(cast(element.value)); // radio 未选中时不更新
+            });
+            createEffect(() => {
+                element.checked = sameValue(signal(), cast(element.value));
+            });
+            return;
+        }
+
+        if (tagName === "select") {
+            const readSelection = () => {
+                const selected = Array.from(element.options)
+                    .filter((option) => option.selected)
+                    .map((option) => cast(option.value));
+                return element.multiple ? selected : selected[0];
+            };
+            const applySelection = (value) => {
+                Array.from(element.options).forEach((option) => {
+                    const optionValue = cast(option.value);
+                    option.selected = element.multiple ? Array.isArray(value) && value.some((item) => sameValue(item, optionValue)) : sameValue(value, optionValue);
+                });
+            };
+            element.addEventListener("change", () => signal(readSelection()));
+            createEffect(() => applySelection(signal()));
+            // <option> 通常由 n-for 在之后渲染或更新，选项变化后按当前值重新选中；元素被清理时断开观察
+            const optionsObserver = new MutationObserver(() => applySelection(signal()));
+            optionsObserver.observe(element, { childList: true, subtree: true });
+            registerNodeCleanup(element, () => optionsObserver.disconnect());
+            return;
+        }
 
-        element.addEventListener("input", updateSignal);
-        element.addEventListener("change", updateSignal);
+        const isContentEditable = tagName !== "input" && tagName !== "textarea" && element.hasAttribute("contenteditable") && element.getAttribute("contenteditable") !== "false";
+        const readValue = () => cast(isContentEditable ? element.textContent : element.value);
+        // 输入法组词期间不写回，避免拼音等中间状态进入数据
+        let composing = false;
+        const update = () => {
+            if (!composing) signal(readValue());
+        };
+        element.addEventListener("compositionstart", () => (composing = true));
+        element.addEventListener("compositionend", () => {
+            composing = false;
+            if (!lazy) update();
+        });
+        element.addEventListener(lazy ? (isContentEditable ? "blur" : "change") : "input", update);
 
         createEffect(() => {
             const value = signal();
-            if (element.type === "checkbox") {
-                element.checked = !!value;
-            } else if (element.type === "radio") {
-                element.checked = element.value === String(value);
-            } else {
-                if (element.value !== value) {
-                    element.value = value === null || value === undefined ? "" : value;
-                }
-            }
+            const text = value === null || value === undefined ? "" : String(value);
+            const currentText = isContentEditable ? element.textContent : element.value;
+            if (currentText === text) return;
+            // 正在输入时，内容转换后与数据相同 (例如 "1." 与 1、" a" 与 "a") 就不改写，避免光标跳动
+            if (document.activeElement === element && sameValue(readValue(), value)) return;
+            if (isContentEditable) element.textContent = text;
+            else element.value = text;
         });
     },
 
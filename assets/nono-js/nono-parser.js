@@ -0,0 +1,51 @@
+// ===================================================================
+// .nue 文件解析 (NueParser)：拆分 template / script / style 等部分，并列出内置组件的标签名。
+// 浏览器中须在 nono-core.js 之前引入；scripts/build.js 在 Node 中 require 同一个文件，
+// 因此这里只能使用语言内置功能，不能访问 window、document 或其他文件中的函数。
+// ===================================================================
+
+// 由 nono-core.js 直接实现的内置组件，它们不是 .nue 组件；nono-core.js 的 builtInComponents 必须与此一致
+const NUE_BUILT_IN_COMPONENT_TAGS = ["router-view", "error-boundary", "suspense", "component", "keep-alive"];
+
+/**
+ * 拆分 .nue 文件的各个部分。
+ * template 取第一个 <template 开始标签到最后一个 </template> 之间的内容，因此模板中可以嵌套 <template>；
+ * <script props> 块声明 Prop 模式，其余第一个 <script> 块才是组件脚本。
+ * @param {string} text - .nue 文件内容。
+ * @returns {{template: string, script: string, style: string, styleScoped: boolean, propsScript: string}}
+ */
+function _splitComponentSections(text) {
+    let template = "";
+    let script = "";
+    const firstTemplateStartTag = text.indexOf("<template");
+    if (firstTemplateStartTag !== -1) {
+        const firstTemplateStartTagEnd = text.indexOf(">", firstTemplateStartTag);
+        if (firstTemplateStartTagEnd !== -1) {
+            const lastTemplateEndTag = text.lastIndexOf("</template>");
+            if (lastTemplateEndTag !== -1 && lastTemplateEndTag > firstTemplateStartTagEnd) {
+                template = text.substring(firstTemplateStartTagEnd + 1, lastTemplateEndTag).trim();
+            } else {
+                const templateMatchFallback = text.match(/<template\b[^>]*>([\s\S]*?)<\/template\s*>/i);
+                template = templateMatchFallback ? templateMatchFallback[1].trim() : "";
+            }
+        }
+    }
+    let propsScript = "";
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let scriptMatch;
+    while ((scriptMatch = scriptRegex.exec(text)) !== null) {
+        if (/(?:^|\s)props(?:\s|=|$)/i.test(scriptMatch[1])) {
+            if (!propsScript) propsScript = scriptMatch[2].trim();
+        } else if (!script) {
+            script = scriptMatch[2].trim();
+        }
+    }
+    const styleMatch = text.match(/<style\b([^>]*)>([\s\S]*?)<\/style\s*>/i);
+    const style = styleMatch ? styleMatch[2].trim() : "";
+    const styleScoped = !!styleMatch && /(?:^|\s)scoped(?:\s|=|$)/i.test(styleMatch[1]);
+    return { template, script, style, styleScoped, propsScript };
+}
+
+if (typeof module === "object" && module.exports) {
+    module.exports = { splitComponentSections: _splitComponentSections, BUILT_IN_COMPONENT_TAGS: NUE_BUILT_IN_COMPONENT_TAGS };
+}
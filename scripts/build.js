@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * 构建：从根组件出发，静态跟踪组件标签 (<x-y src="...">，没有 src 时按标签名解析为 x-y.nue) 和 importNjs("...") 调用，
+ * 生成只包含可达文件的 window.__NUE_PRELOADED_DATA__ 预加载包。
+ *
+ * 用法：
+ *   node scripts/build.js [根组件...] [选项]
+ *
+ * 选项：
+ *   --root <目录>      应用根目录 (index.html 所在目录)，默认仓库根目录
+ *   --out <文件>       输出文件，默认 <root>/nue-data-bundle.js
+ *   --include <文件>   额外打包的文件 (例如路由组件、lang/zh.json)，可重复
+ *   --report <文件>    把构建报告写成 JSON
+ *   --compile <文件>   同时把组件脚本、<script props> 和 NJS 预编译成普通脚本文件，供 CSP 模式 (init 的 csp 选项) 使用
+ *   --sign-key <文件>  用 ECDSA P-256 私钥 (PEM) 对完整性清单签名
+ *   --strict           存在未解析的引用时以非零状态码退出
+ *   --help, -h         显示用法
+ *
+ * 未知选项和缺少参数值的选项会报错并以非零状态码退出。
+ *
+ * 默认根组件为 components/demo.nue。在页面中于 nono-core.js 之后引入生成的文件即可：
+ *   <script src="./nue-data-bundle.js"></script>
+ *
+ * 包中的键是相对于应用根目录的路径；组件携带预解析的 template/script/style，NJS 和其他文件携带原文；
+ * 每个条目的 hash 是内容的 SHA-256 前缀，运行时用它代替 appVersion 作为资源版本。
+ *
+ * 包中同时输出 window.__NUE_INTEGRITY_MANIFEST__：每个条目完整的 SHA-256，组件按预解析结构的固定序列化计算。
+ * init 传入 integrity 选项后运行时据此校验；传入 { publicKey } 时还要求清单带有签名。生成密钥对：
+ *   openssl ecparam -name prime256v1 -genkey -noout -out nue-signing.pem
+ *   openssl ec -in nue-signing.pem -pubout   (输出的 PEM 公钥交给 init 的 integrity.publicKey)
+ * 私钥不要放进站点目录。
+ * 不带 --sign-key 时清单只是页面上的又一个全局变量，能改写构建包的人同样能改写清单，
+ * 此时的校验只能发现传输、缓存等造成的意外损坏，不能防篡改；防篡改需要签名，并且公钥写在页面自己的 init 调用里。
+ *
+ * 禁止 unsafe-eval 的页面还需要 --compile 生成的文件 (同样在 nono-core.js 之后引入)，
+ * 运行时在 CSP 模式下从 window.__NUE_COMPILED_SCRIPTS__ 取脚本函数，不再调用 new Function。
+ * 与 --compile 一起构建时，清单也记录每个预编译函数的哈希，开启完整性校验后函数在调用前同样要通过校验；
+ * 因此预编译文件必须与构建包出自同一次构建，并且之后不能再经过压缩、转译或其他改写：
+ * 运行时哈希的是浏览器中 Function.prototype.toString 得到的函数源码，任何改写都会让校验失败、脚本被拒绝执行。
+ * 需要压缩时只压缩构建包 (nue-data-bundle.js)，不要处理预编译文件。
+ *
+ * 只依赖 Node 内置模块。
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const vm = require("vm");
+
+// 用一个虚拟的 origin 按浏览器的规则解析相对路径
+const VIRTUAL_ROOT = "http://nue.build/";
+
+// .nue 文件的拆分规则和内置组件标签名与运行时共用同一份代码
+const { splitComponentSections, BUILT_IN_COMPONENT_TAGS: BUILT_IN_TAG_LIST } = require("../assets/nono-js/nono-parser.js");
+// 内置组件由 nono-core.js 直接实现，它们不是 .nue 组件
+const BUILT_IN_COMPONENT_TAGS = new Set(BUILT_IN_TAG_LIST);
+
+/**
+ * 拆分 .nue 文件的各个部分，规则来自 assets/nono-js/nono-parser.js。
+ * @returns {{template: string, script: string, style: string, styleScoped: boolean, propsScript: string}}
+ */
+function parseComponentStructure(text) {
+    return splitComponentSections(text);
+}
+
+// 去掉注释，避免把注释掉的标签或调用当成依赖
+function stripHtmlComments(html) {
+    return html.replace(/<!--[\s\S]*?-->/g, "");
+}
+function stripJsComments(code) {
+    return code.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(^|[^:"'`\\])\/\/.*$/gm, "$1");
+}
+
+/**
+ * 找出组件模板中的子组件引用。返回 [{ ref, description }]，ref 为 null 表示无法静态解析。
+ */
+function findComponentReferences(template) {
+    const references = [];
+    const tagRegex = /<([a-z][a-z0-9]*-[a-z0-9-]*)\b([^>]*)>/gi;
+    let match;
+    while ((match = tagRegex.exec(stripHtmlComments(template))) !== null) {
+        const [, tagName, attributes] = match;
+        const srcMatch = attributes.match(/(?:^|\s)src\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+        if (srcMatch) {
+            references.push({ ref: srcMatch[1] !== undefined ? srcMatch[1] : srcMatch[2], description: `<${tagName} src>` });
+        } else if (/(?:^|\s):src\s*=/i.test(attributes)) {
+            references.push({ ref: null, description: `<${tagName} :src> (动态绑定，无法静态解析)` });
+        } else if (!BUILT_IN_COMPONENT_TAGS.has(tagName.toLowerCase())) {
+            // 与运行时一致：没有 src 的组件标签按标签名加载同目录下的 <标签名>.nue
+            references.push({ ref: `${tagName.toLowerCase()}.nue`, description: `<${tagName}> (按标签名解析)` });
+        }
+    }
+    return references;
+}
+
+/**
+ * 找出脚本中的 importNjs() 调用。
+ */
+function findNjsReferences(code) {
+    const references = [];
+    const callRegex = /\bimportNjs\s*\(\s*([^)]*?)\s*\)/g;
+    let match;
+    while ((match = callRegex.exec(stripJsComments(code))) !== null) {
+        const literal = match[1].match(/^(["'`])([^"'`$]*)\1$/);
+        if (literal) {
+            references.push({ ref: literal[2], description: `importNjs("${literal[2]}")` });
+        } else {
+            references.push({ ref: null, description: `importNjs(${match[1]}) (非字面量，无法静态解析)` });
+        }
+    }
+    return references;
+}
+
+function hashContent(text) {
+    return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+/**
+ * 条目参与完整性校验的内容，与 nono-core.js 中 _getIntegrityPayload 保持一致。
+ */
+function getIntegrityPayload(entry) {
+    if (entry.structure) {
+        const { template, script, style, styleScoped, propsScript } = entry.structure;
+        return JSON.stringify([template, script, style, !!styleScoped, propsScript || ""]);
+    }
+    return entry.text;
+}
+
+/**
+ * 生成完整性清单；提供私钥时对按路径排序的 [路径, 哈希] 列表签名 (IEEE P1363 格式，可直接用 WebCrypto 验证)。
+ * 传入预编译脚本时，每个函数的源码以 "<路径>#script"、"<路径>#props" 为键一并记录，运行时校验后才会调用。
+ * @param {object} bundle - build() 返回的 bundle。
+ * @param {string} [privateKeyPem] - ECDSA P-256 私钥。
+ * @param {object} [compiledScripts] - compileScriptSources() 的返回值。
+ * @returns {{ algorithm: string, files: object, signature?: string }}
+ */
+function createIntegrityManifest(bundle, privateKeyPem, compiledScripts = {}) {
+    const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+    const payloads = {};
+    Object.keys(bundle).forEach((file) => (payloads[file] = getIntegrityPayload(bundle[file])));
+    Object.keys(compiledScripts).forEach((file) => Object.keys(compiledScripts[file]).forEach((part) => (payloads[`${file}#${part}`] = compiledScripts[file][part])));
+    const files = {};
+    Object.keys(payloads)
+        .sort()
+        .forEach((key) => (files[key] = sha256(payloads[key])));
+    const manifest = { algorithm: "SHA-256", files };
+    if (privateKeyPem) {
+        const key = crypto.createPrivateKey(privateKeyPem);
+        if (key.asymmetricKeyType !== "ec" || key.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+            throw new Error("签名私钥必须是 ECDSA P-256 (prime256v1) 密钥");
+        }
+        const serialized = JSON.stringify(Object.keys(files).map((file) => [file, files[file]]));
+        manifest.signature = crypto.sign("sha256", Buffer.from(serialized), { key, dsaEncoding: "ieee-p1363" }).toString("base64");
+    }
+    return manifest;
+}
+
+/**
+ * 执行构建。
+ * @param {object} options
+ * @param {string} [options.root] - 应用根目录。
+ * @param {string[]} [options.entries] - 根组件，相对于根目录，默认 components/demo.nue。
+ * @param {string[]} [options.includes] - 额外打包的文件，同样会跟踪其中的引用。
+ * @returns {{ bundle: object, files: string[], unresolved: object[] }}
+ */
+function build(options) {
+    const root = path.resolve(options.root || path.join(__dirname, ".."));
+    const entries = (options.entries && options.entries.length ? options.entries : ["components/demo.nue"]).concat(options.includes || []);
+    const bundle = {};
+    const unresolved = [];
+    const queue = entries.map((entry) => ({ url: new URL(entry, VIRTUAL_ROOT).href, from: null, description: "入口" }));
+    const visited = new Set();
+
+    while (queue.length > 0) {
+        const { url, from, description } = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+        if (!url.startsWith(VIRTUAL_ROOT)) {
+            unresolved.push({ from, reference: description, reason: `外部地址 ${url}，不打包` });
+            continue;
+        }
+        const relativePath = decodeURIComponent(new URL(url).pathname.slice(1));
+        const filePath = path.join(root, relativePath);
+        if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            unresolved.push({ from, reference: description, reason: `文件不存在: ${relativePath}` });
+            continue;
+        }
+        const text = fs.readFileSync(filePath, "utf8");
+        const follow = (references) => {
+            references.forEach(({ ref, description: refDescription }) => {
+                if (ref === null) {
+                    unresolved.push({ from: relativePath, reference: refDescription, reason: "无法静态解析" });
+                } else {
+                    queue.push({ url: new URL(ref, url).href.replace(/[?#].*$/, ""), from: relativePath, description: refDescription });
+                }
+            });
+        };
+        if (/\.nue$/i.test(relativePath)) {
+            const structure = parseComponentStructure(text);
+            bundle[relativePath] = { hash: hashContent(text), structure };
+            follow(findComponentReferences(structure.template));
+            follow(findNjsReferences(structure.script));
+        } else {
+            bundle[relativePath] = { hash: hashContent(text), text };
+            if (/\.njs$/i.test(relativePath)) follow(findNjsReferences(text));
+        }
+    }
+    return { bundle, files: Object.keys(bundle), unresolved };
+}
+
+/**
+ * 生成构建包中每个脚本的预编译函数源码：{ 路径: { script?, props? } }。
+ * 脚本函数接收一个以参数名 (createSignal、props、importNjs 等) 为键的对象，用 with 暴露给脚本，
+ * 与运行时 new Function 的参数列表等价；普通脚本文件在 CSP 下不受 unsafe-eval 限制。
+ * 脚本原样嵌入，不做缩进，以免改变多行模板字符串的内容。
+ * 源码与浏览器中 Function.prototype.toString 的结果完全一致，完整性清单据此记录哈希，所以生成的文件不能再被改写。
+ * @param {object} bundle - build() 返回的 bundle。
+ * @returns {object}
+ * @throws {SyntaxError} 某个脚本存在语法错误时。
+ */
+function compileScriptSources(bundle) {
+    const sources = {};
+    Object.keys(bundle)
+        .sort()
+        .forEach((file) => {
+            const entry = bundle[file];
+            const script = entry.structure ? entry.structure.script : /\.njs$/i.test(file) ? entry.text : "";
+            const propsScript = entry.structure ? entry.structure.propsScript.replace(/;\s*$/, "") : "";
+            if (!script.trim() && !propsScript) return;
+            const parts = {};
+            if (script.trim()) {
+                parts.script = `function (__nueScriptArgs__) {\n        with (__nueScriptArgs__) {\n            return (async () => {\n${script}\n            })();\n        }\n    }`;
+            }
+            if (propsScript) {
+                parts.props = `function () {\n        return (\n${propsScript}\n        );\n    }`;
+            }
+            try {
+                new vm.Script(renderCompiledEntry(file, parts), { filename: file });
+            } catch (error) {
+                error.message = `${file}: ${error.message}`;
+                throw error;
+            }
+            sources[file] = parts;
+        });
+    return sources;
+}
+
+function renderCompiledEntry(file, parts) {
+    const members = Object.keys(parts).map((part) => `    ${part}: ${parts[part]},`);
+    return `window.__NUE_COMPILED_SCRIPTS__[${JSON.stringify(file)}] = {\n${members.join("\n")}\n};`;
+}
+
+/**
+ * 把预编译函数源码生成为 window.__NUE_COMPILED_SCRIPTS__ 注册代码。
+ * @param {object} bundle - build() 返回的 bundle。
+ * @param {object} [sources] - compileScriptSources() 的返回值，省略时现场生成。
+ * @returns {string} 脚本文件内容。
+ * @throws {SyntaxError} 某个脚本存在语法错误时。
+ */
+function compileScripts(bundle, sources = compileScriptSources(bundle)) {
+    const lines = ["// 由 scripts/build.js 生成，请勿手动修改", "window.__NUE_COMPILED_SCRIPTS__ = window.__NUE_COMPILED_SCRIPTS__ || {};"];
+    Object.keys(sources)
+        .sort()
+        .forEach((file) => lines.push(renderCompiledEntry(file, sources[file])));
+    return `${lines.join("\n")}\n`;
+}
+
+const USAGE = "用法：node scripts/build.js [根组件...] [--root 目录] [--out 文件] [--include 文件] [--report 文件] [--compile 文件] [--sign-key 文件] [--strict]";
+// 需要一个参数值的选项 -> options 上的字段
+const VALUE_OPTIONS = { "--root": "root", "--out": "out", "--report": "report", "--compile": "compile", "--sign-key": "signKey" };
+
+/**
+ * 解析命令行参数。
+ * @throws {Error} 出现未知选项或选项缺少参数值时。
+ */
+function parseArgs(argv) {
+    const options = { entries: [], includes: [], strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--help" || arg === "-h") {
+            options.help = true;
+        } else if (arg === "--strict") {
+            options.strict = true;
+        } else if (arg === "--include" || VALUE_OPTIONS[arg]) {
+            const value = argv[++i];
+            if (value === undefined || value.startsWith("--")) throw new Error(`选项 ${arg} 缺少参数值`);
+            if (arg === "--include") options.includes.push(value);
+            else options[VALUE_OPTIONS[arg]] = value;
+        } else if (arg.startsWith("-")) {
+            throw new Error(`未知选项 ${arg}`);
+        } else {
+            options.entries.push(arg);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[build] ${error.message}\n${USAGE}`);
+        process.exit(1);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    const root = path.resolve(options.root || path.join(__dirname, ".."));
+    const { bundle, files, unresolved } = build({ ...options, root });
+    const out = path.resolve(options.out || path.join(root, "nue-data-bundle.js"));
+    // 键按字母顺序输出，同样的输入总是得到同样的文件
+    const sortedBundle = {};
+    files.sort().forEach((file) => (sortedBundle[file] = bundle[file]));
+    // 预编译的脚本函数同样写入完整性清单，因此要先于清单生成
+    const compiledSources = options.compile ? compileScriptSources(bundle) : {};
+    const manifest = createIntegrityManifest(bundle, options.signKey ? fs.readFileSync(options.signKey, "utf8") : null, compiledSources);
+    const content = `// 由 scripts/build.js 生成，请勿手动修改\nwindow.__NUE_PRELOADED_DATA__ = ${JSON.stringify(sortedBundle, null, 2)};\nwindow.__NUE_INTEGRITY_MANIFEST__ = ${JSON.stringify(manifest, null, 2)};\n`;
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, content);
+
+    console.log(`[build] 已打包 ${files.length} 个文件 → ${path.relative(process.cwd(), out)} (${(Buffer.byteLength(content) / 1024).toFixed(1)} KB)${manifest.signature ? "，清单已签名" : ""}`);
+    files.forEach((file) => console.log(`  ${bundle[file].hash}  ${file}`));
+    if (unresolved.length > 0) {
+        console.log(`[build] 未解析的引用 (${unresolved.length}):`);
+        unresolved.forEach(({ from, reference, reason }) => console.log(`  ${from || "(入口)"}: ${reference} — ${reason}`));
+    }
+    if (options.compile) {
+        const compiledOut = path.resolve(options.compile);
+        fs.mkdirSync(path.dirname(compiledOut), { recursive: true });
+        fs.writeFileSync(compiledOut, compileScripts(bundle, compiledSources));
+        console.log(`[build] 已预编译脚本 → ${path.relative(process.cwd(), compiledOut)}`);
+    }
+    if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify({ files: files.map((file) => ({ file, hash: bundle[file].hash })), unresolved }, null, 2));
+    }
+    if (options.strict && unresolved.length > 0) process.exit(1);
+}
+
+module.exports = { build, compileScripts, compileScriptSources, createIntegrityManifest, parseComponentStructure };
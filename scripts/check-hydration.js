@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * 注水检查：预渲染 components/demo.nue，再把生成的页面连同 index.html 引入的脚本交给 jsdom，
+ * 像浏览器一样执行页面自己的 NueCore.init，确认注水原位接管了预渲染的内容。
+ *
+ * 用法：
+ *   npm test
+ *   node scripts/check-hydration.js [--component <组件文件>] [--timeout <毫秒>]
+ *
+ * 检查项：
+ *   - 注水完成 (挂载目标上的 data-nue-ssr 被移除)，期间没有 console.error；
+ *   - 预渲染的每个元素节点仍在文档中，没有被替换；
+ *   - 注水后的标记与预渲染的一致 (不计注释节点)。
+ *
+ * 与页面中 init 的参数保持一致：版本号 1.0.0，i18n { locale: "zh", fallbackLocale: "zh" }。
+ * 依赖 jsdom (package.json 的开发依赖)。任何一项失败时以非零状态码退出。
+ */
+"use strict";
+
+const path = require("path");
+const { prerender, readSiteFile, installSiteFetch, loadJsdom, RENDER_ORIGIN } = require("./prerender.js");
+
+const ROOT = path.join(__dirname, "..");
+const PAGE = "index.html";
+const TARGET = "app";
+// 与 index.html 中 NueCore.init 的参数一致
+const APP_VERSION = "1.0.0";
+const INIT_OPTIONS = { i18n: { locale: "zh", fallbackLocale: "zh" } };
+
+function parseArgs(argv) {
+    const options = { component: "components/demo.nue", timeout: 5000 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--component" && argv[i + 1]) options.component = argv[++i];
+        else if (arg === "--timeout" && argv[i + 1]) options.timeout = Number(argv[++i]);
+        else throw new Error(`未知选项 ${arg}`);
+    }
+    return options;
+}
+
+// 去掉注释节点后的标记，注水标记和 n-if / n-for 的锚点不参与比较
+function stripComments(html) {
+    return html.replace(/<!--[\s\S]*?-->/g, "");
+}
+
+/**
+ * 在 jsdom 中打开预渲染的页面，页面中的 <script src> 从站点根目录加载。
+ * 返回页面窗口，以及注水开始前 (DOMContentLoaded 时) 挂载目标下的全部元素。
+ */
+function openPrerenderedPage(html, errors) {
+    const { JSDOM, ResourceLoader, VirtualConsole } = loadJsdom();
+    class SiteResourceLoader extends ResourceLoader {
+        fetch(url) {
+            const content = readSiteFile(ROOT, new URL(url));
+            return content === null ? Promise.reject(new Error(`文件不存在: ${url}`)) : Promise.resolve(content);
+        }
+    }
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("error", (...args) => errors.push(args.map((arg) => (arg && arg.stack) || String(arg)).join(" ")));
+    virtualConsole.on("jsdomError", (error) => errors.push(error.stack || String(error)));
+    let prerenderedElements = null;
+    const dom = new JSDOM(html, {
+        url: new URL(`/${PAGE}`, RENDER_ORIGIN).href,
+        runScripts: "dangerously",
+        resources: new SiteResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            installSiteFetch(window, ROOT);
+            // 捕获阶段的 window 监听器先于页面在 document 上注册的 init 执行
+            window.addEventListener(
+                "DOMContentLoaded",
+                () => {
+                    prerenderedElements = Array.from(window.document.getElementById(TARGET).querySelectorAll("*"));
+                },
+                true,
+            );
+        },
+    });
+    return { dom, getPrerenderedElements: () => prerenderedElements };
+}
+
+function waitFor(condition, timeout) {
+    const deadline = Date.now() + timeout;
+    return new Promise((resolve) => {
+        const poll = () => {
+            if (condition()) resolve(true);
+            else if (Date.now() > deadline) resolve(false);
+            else setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+async function checkHydration(options) {
+    const html = await prerender({ root: ROOT, page: PAGE, target: TARGET, component: options.component, appVersion: APP_VERSION, initOptions: INIT_OPTIONS });
+    const prerenderedMarkup = stripComments(new (loadJsdom().JSDOM)(html).window.document.getElementById(TARGET).innerHTML);
+    const errors = [];
+    const { dom, getPrerenderedElements } = openPrerenderedPage(html, errors);
+    const failures = [];
+    try {
+        const target = dom.window.document.getElementById(TARGET);
+        const hydrated = await waitFor(() => !target.hasAttribute("data-nue-ssr"), options.timeout);
+        if (!hydrated) failures.push(`${options.timeout}ms 内没有完成注水 (#${TARGET} 上仍有 data-nue-ssr)`);
+        const prerenderedElements = getPrerenderedElements() || [];
+        if (prerenderedElements.length === 0) failures.push("预渲染的页面中没有可供注水的元素");
+        const replaced = prerenderedElements.filter((element) => !target.contains(element));
+        if (replaced.length > 0) {
+            failures.push(`${replaced.length} 个预渲染的元素被替换: ${replaced.map((element) => `<${element.tagName.toLowerCase()}>`).join(", ")}`);
+        }
+        const hydratedMarkup = stripComments(target.innerHTML);
+        if (hydratedMarkup !== prerenderedMarkup) {
+            failures.push(`注水后的标记与预渲染不一致\n  预渲染: ${prerenderedMarkup}\n  注水后: ${hydratedMarkup}`);
+        }
+        errors.forEach((error) => failures.push(`页面报告错误: ${error}`));
+        return { failures, elementCount: prerenderedElements.length };
+    } finally {
+        dom.window.close();
+    }
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`[check-hydration] ${error.message}\n用法：node scripts/check-hydration.js [--component 组件文件] [--timeout 毫秒]`);
+        process.exit(1);
+    }
+    checkHydration(options)
+        .then(({ failures, elementCount }) => {
+            if (failures.length > 0) {
+                console.error(`[check-hydration] ${options.component} 注水检查失败:`);
+                failures.forEach((failure) => console.error(`  - ${failure}`));
+                process.exit(1);
+            }
+            console.log(`[check-hydration] ${options.component}：${elementCount} 个预渲染元素全部原位注水，标记一致`);
+        })
+        .catch((error) => {
+            console.error("[check-hydration] 检查失败:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { checkHydration };
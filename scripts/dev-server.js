@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * 开发服务器：提供静态文件，并在文件变更时通过 SSE 通知页面热重载。
+ *
+ * 用法：
+ *   node scripts/dev-server.js [--root <目录>] [--port <端口>] [--host <地址>]
+ *
+ * 默认以仓库根目录为站点根目录，只监听本机的 127.0.0.1:8080。打开 http://localhost:8080/ 即可。
+ * 需要在局域网内的其他设备上访问时显式传入 --host 0.0.0.0，此时站点根目录下的所有文件都会对外提供。
+ * 返回 HTML 页面时会注入 window.__NUE_HOT_RELOAD__，NueCore.init 据此自动开启热重载。
+ * 响应不带 CORS 头，其他来源的页面无法读取文件或订阅热重载端点。
+ *
+ * 只依赖 Node 内置模块 (需要 Node 20 以上，fs.watch 的 recursive 选项)。
+ */
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const HMR_ENDPOINT = "/__nue_hmr";
+const IGNORED_SEGMENTS = new Set(["node_modules", ".git"]);
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".njs": "text/plain; charset=utf-8",
+    ".nue": "text/plain; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".ico": "image/x-icon",
+    ".woff2": "font/woff2",
+};
+
+function parseArgs(argv) {
+    const options = { root: path.resolve(__dirname, ".."), port: 8080, host: "127.0.0.1" };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--root" && argv[i + 1]) options.root = path.resolve(argv[++i]);
+        else if (argv[i] === "--port" && argv[i + 1]) options.port = Number(argv[++i]);
+        else if (argv[i] === "--host" && argv[i + 1]) options.host = argv[++i];
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const clients = new Set();
+
+function broadcast(eventName, data) {
+    const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach((res) => res.write(message));
+}
+
+function handleHmrConnection(req, res) {
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.write("retry: 1000\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+}
+
+function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end("Bad Request");
+        return;
+    }
+    let filePath = path.join(options.root, pathname);
+    // 禁止访问站点根目录之外的文件
+    if (filePath !== options.root && !filePath.startsWith(options.root + path.sep)) {
+        res.writeHead(403);
+        res.end("Forbidden");
+        return;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, "index.html");
+    }
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end(`Not Found: ${pathname}`);
+            return;
+        }
+        const extension = path.extname(filePath).toLowerCase();
+        if (extension === ".html") {
+            const injection = `<script>window.__NUE_HOT_RELOAD__ = ${JSON.stringify(HMR_ENDPOINT)};</script>`;
+            const html = content.toString("utf8");
+            content = html.includes("</head>") ? html.replace("</head>", `${injection}\n</head>`) : injection + html;
+        }
+        res.writeHead(200, {
+            "Content-Type": CONTENT_TYPES[extension] || "application/octet-stream",
+            "Cache-Control": "no-cache",
+        });
+        res.end(content);
+    });
+}
+
+// 编辑器保存时常常连续触发多次事件，合并一小段时间内的变更后再推送
+let pendingFiles = new Set();
+let flushTimer = null;
+function queueChange(relativePath) {
+    const segments = relativePath.split(/[\\/]/);
+    if (segments.some((segment) => IGNORED_SEGMENTS.has(segment))) return;
+    pendingFiles.add(segments.join("/"));
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => {
+        const files = Array.from(pendingFiles).filter((file) => fs.existsSync(path.join(options.root, file)));
+        pendingFiles = new Set();
+        if (files.length === 0) return;
+        console.log(`[dev-server] 变更: ${files.join(", ")}`);
+        broadcast("change", { files });
+    }, 50);
+}
+
+fs.watch(options.root, { recursive: true }, (eventType, filename) => {
+    if (filename) queueChange(filename.toString());
+});
+
+const server = http.createServer((req, res) => {
+    if (req.url.split("?")[0] === HMR_ENDPOINT) {
+        handleHmrConnection(req, res);
+    } else {
+        serveStatic(req, res);
+    }
+});
+
+// 定期发送注释行，防止代理或浏览器因空闲断开连接
+setInterval(() => clients.forEach((res) => res.write(": ping\n\n")), 30000).unref();
+
+server.listen(options.port, options.host, () => {
+    console.log(`[dev-server] 站点根目录: ${options.root}`);
+    console.log(`[dev-server] 监听 ${options.host}:${options.port}，打开 http://localhost:${options.port}/  (热重载端点 ${HMR_ENDPOINT})`);
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * 预渲染：在 Node 中用 jsdom 运行 nono-core.js，把组件渲染成静态 HTML，
+ * 页面加载后 NueCore.init 会用嵌入的 Signal 状态注水，接管预渲染的内容。
+ *
+ * 用法：
+ *   node scripts/prerender.js <组件文件> [选项]
+ *
+ * 选项：
+ *   --root <目录>       站点根目录，默认仓库根目录
+ *   --page <文件>       作为外壳的页面，默认 index.html
+ *   --target <id>       挂载目标元素的 ID，默认 app
+ *   --url <路径>        渲染时的页面地址 (影响路由和相对路径解析)，默认 /<page>
+ *   --props <JSON>      传给根组件的 Props
+ *   --version <版本号>  应用版本号，应与页面 init 时使用的一致
+ *   --locale <语言>     加载 lang/<语言>.json
+ *   --settle <毫秒>     根组件挂载完成后再等待的时间，用于 <suspense> 等异步内容，默认 50
+ *   --out <文件>        输出文件，默认输出到标准输出
+ *
+ * 例：为一次对话生成分享页
+ *   node scripts/prerender.js components/demo.nue --props '{"conversationId":"42"}' --out dist/share-42.html
+ *
+ * 也可以在其他 Node 脚本中使用：const { prerender } = require("./scripts/prerender.js");
+ *
+ * 依赖 jsdom，它是 package.json 中的开发依赖，在仓库根目录执行一次 npm install 即可。
+ * npm test (scripts/check-hydration.js) 会预渲染 components/demo.nue 再在模拟的浏览器中注水，检查两者能否对上。
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const RENDER_ORIGIN = "http://localhost";
+
+function loadJsdom() {
+    try {
+        return require("jsdom");
+    } catch (error) {
+        console.error("[prerender] 找不到 jsdom，请先在仓库根目录执行 npm install");
+        throw error;
+    }
+}
+
+/**
+ * 读取渲染 origin 下某个地址对应的站点文件，不存在或越出根目录时返回 null。
+ * @param {string} root - 站点根目录 (绝对路径)。
+ * @param {URL} url - 请求地址。
+ * @returns {Buffer|null}
+ */
+function readSiteFile(root, url) {
+    const filePath = path.join(root, decodeURIComponent(url.pathname));
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+    return fs.readFileSync(filePath);
+}
+
+/**
+ * 给 jsdom 窗口提供 fetch：渲染 origin 下的请求从站点根目录读取，其他地址交给 Node 的 fetch。
+ * @param {Window} window - jsdom 窗口。
+ * @param {string} root - 站点根目录 (绝对路径)。
+ */
+function installSiteFetch(window, root) {
+    window.fetch = async (resource, init) => {
+        const url = new URL(String(resource), window.location.href);
+        if (url.origin !== RENDER_ORIGIN) return fetch(url.href, init);
+        const content = readSiteFile(root, url);
+        if (content === null) return new Response("", { status: 404, statusText: "Not Found" });
+        return new Response(content, { status: 200, statusText: "OK" });
+    };
+}
+
+/**
+ * 创建一个运行 nono-core.js 的 jsdom 窗口，资源请求从站点根目录读取。
+ */
+function createRenderWindow(root, pageUrl) {
+    const { JSDOM } = loadJsdom();
+    const dom = new JSDOM(`<!doctype html><html><head></head><body></body></html>`, {
+        url: new URL(pageUrl, RENDER_ORIGIN).href,
+        runScripts: "dangerously",
+        pretendToBeVisual: true,
+    });
+    const { window } = dom;
+    installSiteFetch(window, root);
+    // 以普通 <script> 执行，几个文件才能像在浏览器中一样共享顶层声明
+    ["assets/nono-js/nono-parser.js", "assets/nono-js/nono-core.js", "assets/nono-js/nono-directives.js"].forEach((file) => {
+        const script = window.document.createElement("script");
+        script.textContent = `${fs.readFileSync(path.join(root, file), "utf8")}\n//# sourceURL=${file}`;
+        window.document.head.appendChild(script);
+    });
+    return dom;
+}
+
+/**
+ * 预渲染一个组件，返回完整的 HTML 页面。
+ * @param {object} options
+ * @param {string} options.component - 根组件文件，相对于页面。
+ * @param {string} [options.root] - 站点根目录。
+ * @param {string} [options.page="index.html"] - 外壳页面。
+ * @param {string} [options.target="app"] - 挂载目标元素的 ID。
+ * @param {string} [options.url] - 渲染时的页面地址。
+ * @param {object} [options.props] - 根组件 Props。
+ * @param {string} [options.appVersion] - 应用版本号。
+ * @param {object} [options.initOptions] - 传给 renderToString 的 i18n、router 等选项。
+ * @param {number} [options.settle=50] - 挂载后额外等待的毫秒数。
+ * @returns {Promise<string>} HTML 页面。
+ */
+async function prerender(options) {
+    const root = path.resolve(options.root || path.join(__dirname, ".."));
+    const page = options.page || "index.html";
+    const target = options.target || "app";
+    const renderDom = createRenderWindow(root, options.url || `/${page}`);
+    let result;
+    try {
+        const renderOptions = { ...(options.initOptions || {}), settle: options.settle === undefined ? 50 : options.settle };
+        result = await renderDom.window.NueCore.renderToString(options.component, options.appVersion, options.props || {}, renderOptions);
+    } finally {
+        renderDom.window.close();
+    }
+
+    const { JSDOM } = loadJsdom();
+    const pageDom = new JSDOM(fs.readFileSync(path.join(root, page), "utf8"));
+    const document = pageDom.window.document;
+    const targetElement = document.getElementById(target);
+    if (!targetElement) throw new Error(`页面 ${page} 中找不到挂载目标 #${target}`);
+    targetElement.innerHTML = result.html;
+    targetElement.setAttribute("data-nue-ssr", "");
+    document.head.insertAdjacentHTML("beforeend", result.styles);
+    // 状态脚本要在页面调用 NueCore.init 之前执行；"<" 转义以免内容提前结束 <script>
+    const stateScript = document.createElement("script");
+    stateScript.textContent = `window.__NUE_SSR_STATE__ = ${JSON.stringify(result.state).replace(/</g, "\\u003c")};`;
+    document.head.appendChild(stateScript);
+    return pageDom.serialize();
+}
+
+function parseArgs(argv) {
+    const options = { initOptions: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === "--root") options.root = next();
+        else if (arg === "--page") options.page = next();
+        else if (arg === "--target") options.target = next();
+        else if (arg === "--url") options.url = next();
+        else if (arg === "--props") options.props = JSON.parse(next());
+        else if (arg === "--version") options.appVersion = next();
+        else if (arg === "--locale") options.initOptions.i18n = { locale: next() };
+        else if (arg === "--settle") options.settle = Number(next());
+        else if (arg === "--out") options.out = next();
+        else if (!options.component) options.component = arg;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.component) {
+        console.error("用法：node scripts/prerender.js <组件文件> [--props JSON] [--out 文件] ...");
+        process.exit(1);
+    }
+    prerender(options)
+        .then((html) => {
+            if (options.out) {
+                fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+                fs.writeFileSync(options.out, html);
+                console.error(`[prerender] 已写入 ${options.out}`);
+            } else {
+                process.stdout.write(html);
+            }
+        })
+        .catch((error) => {
+            console.error("[prerender] 预渲染失败:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { prerender, readSiteFile, installSiteFetch, loadJsdom, RENDER_ORIGIN };